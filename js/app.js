@@ -4,6 +4,7 @@ class TeachableMachineApp {
         this.datasetManager = new DatasetManager();
         this.modelManager = new ModelManager();
         this.predictor = new Predictor(this.modelManager, this.datasetManager);
+        this.projectManager = new ProjectManager(this.datasetManager, this.modelManager);
         
         this.isInitialized = false;
         this.init();
@@ -19,6 +20,9 @@ class TeachableMachineApp {
             // Initialize UI components
             this.initializeUI();
             
+            // Restore the last opened project
+            await this.initializeProjects();
+            
             // Set up error handling
             this.setupErrorHandling();
             
@@ -68,9 +72,9 @@ class TeachableMachineApp {
     initializeUI() {
         try {
             // Initialize UI components
-            this.classManagerUI = new ClassManagerUI(this.datasetManager);
+            this.classManagerUI = new ClassManagerUI(this.datasetManager, this.modelManager);
             this.trainingUI = new TrainingUI(this.modelManager, this.datasetManager, this.predictor);
-            this.webcamUI = new WebcamUI(this.predictor, this.datasetManager);
+            this.webcamUI = new WebcamUI(this.predictor, this.datasetManager, () => this.classManagerUI.renderClasses());
             
             // Initialize test image upload
             this.initializeTestImageUpload();
@@ -89,6 +93,29 @@ class TeachableMachineApp {
         }
     }
 
+    async initializeProjects() {
+        try {
+            await this.projectManager.init();
+        } catch (error) {
+            console.error('Error loading saved projects:', error);
+            this.projectManager.isAvailable = false;
+            this.showWarning('Saved projects could not be loaded. Changes will not be saved.');
+        }
+
+        this.projectPickerUI = new ProjectPickerUI(this.projectManager, () => this.handleProjectChanged());
+        await this.projectPickerUI.render();
+        this.handleProjectChanged();
+    }
+
+    handleProjectChanged() {
+        this.classManagerUI.renderClasses();
+        this.webcamUI.renderClassOptions();
+        this.trainingUI.refreshEvaluationResults();
+        this.trainingUI.updateImbalanceWarning();
+        this.trainingUI.updateClassSetWarning();
+        this.clearPredictions();
+    }
+
     initializeTestImageUpload() {
         const uploadInput = document.getElementById('test-image-upload');
         const previewContainer = document.getElementById('uploaded-image-preview');
@@ -131,7 +158,8 @@ class TeachableMachineApp {
             // Show loading state
             this.setPredictionLoadingState(true);
             
-            const predictions = await this.predictor.predictImage(imageDataUrl);
+            // Goes through the webcam UI so a running live loop doesn't take the predictor or overwrite the result
+            const predictions = await this.webcamUI.predictWithLoopPaused(imageDataUrl);
             this.displayPredictions(predictions);
             
             // Show prediction stats
@@ -164,7 +192,7 @@ class TeachableMachineApp {
                     
                     html += `
                         <div class="prediction-item ${confidenceClass} ${isTopPrediction ? 'top-prediction' : ''}">
-                            <span class="class-name">${this.escapeHtml(pred.className)}</span>
+                            <span class="class-name">${pred.color ? `<span class="class-color-dot" style="background: ${pred.color};"></span>` : ''}${this.escapeHtml(pred.className)}</span>
                             <span class="confidence">${percentage}%</span>
                         </div>
                     `;
@@ -258,6 +286,9 @@ class TeachableMachineApp {
             if (this.webcamUI && this.webcamUI.isWebcamActive) {
                 this.webcamUI.stopWebcam();
             }
+            if (this.trainingUI && this.trainingUI.isTraining) {
+                this.trainingUI.cancelTraining();
+            }
         }
     }
 
@@ -431,24 +462,6 @@ class TeachableMachineApp {
         };
     }
 
-    // Export application state
-    exportState() {
-        const state = {
-            dataset: {
-                classes: this.datasetManager.classes,
-                timestamp: new Date().toISOString()
-            },
-            models: {
-                trained: this.modelManager.getTrainingStatus(),
-                evaluations: this.modelManager.getAllEvaluationResults(),
-                saved: this.modelManager.getSavedModels()
-            },
-            version: '1.0'
-        };
-        
-        return JSON.stringify(state, null, 2);
-    }
-
     // Clean up resources
     cleanup() {
         console.log('Cleaning up application resources...');
@@ -557,16 +570,10 @@ window.debugApp = function() {
     }
 };
 
+// Downloads the current project (images + models) as a ZIP archive
 window.exportAppState = function() {
-    if (window.app) {
-        const state = window.app.exportState();
-        const blob = new Blob([state], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `teachable-machine-backup-${new Date().getTime()}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
+    if (window.app && window.app.projectPickerUI) {
+        window.app.projectPickerUI.exportProject();
     }
 };
 
@@ -0,0 +1,21 @@
+// Helpers for datasets where some classes have far more images than others
+class ClassBalance {
+    static countLabels(labels, numClasses) {
+        const counts = new Array(numClasses).fill(0);
+        labels.forEach(label => counts[label]++);
+        return counts;
+    }
+
+    // "Balanced" loss weights: total / (numClasses * classCount), so every class contributes
+    // the same total weight. Returns { classIndex: weight } as model.fit's classWeight expects.
+    static computeClassWeights(labels, numClasses) {
+        const counts = ClassBalance.countLabels(labels, numClasses);
+        const weights = {};
+
+        counts.forEach((count, classIndex) => {
+            weights[classIndex] = count > 0 ? labels.length / (numClasses * count) : 1;
+        });
+
+        return weights;
+    }
+}
\ No newline at end of file
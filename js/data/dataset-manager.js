@@ -5,15 +5,67 @@ class DatasetManager {
             images: [],
             labels: []
         };
+        // Held-out fractions per class; the fixed seed keeps splits identical across training runs
+        this.splitConfig = {
+            validationRatio: 0.15,
+            testRatio: 0.15,
+            seed: 42
+        };
         this.validationRules = {
             minClassSize: 5, // Reduced from 10 for easier testing
+            // Largest/smallest class size ratio above which the dataset counts as imbalanced
+            maxImbalanceRatio: 3,
             maxImageSize: 5 * 1024 * 1024,
             allowedFormats: ['image/jpeg', 'image/png', 'image/gif', 'image/webp']
         };
+        this.changeListeners = [];
+        // Class ids are never reused, so trained models can tell which classes they know
+        // even after classes are renamed, reordered, merged or deleted
+        this.nextClassId = 0;
+        // Image deletes and moves that can still be undone, most recent last
+        this.undoStack = [];
+        this.maxUndoSteps = 20;
+    }
+
+    // Register a callback invoked with { type, ... } whenever classes or images change
+    onChange(listener) {
+        this.changeListeners.push(listener);
+    }
+
+    notifyChange(type, details = {}) {
+        this.changeListeners.forEach(listener => {
+            try {
+                listener({ type, ...details });
+            } catch (error) {
+                console.error('Dataset change listener failed:', error);
+            }
+        });
+    }
+
+    // Default class colors, assigned round-robin by class id
+    static get CLASS_COLORS() {
+        return ['#6366f1', '#ec4899', '#10b981', '#f59e0b', '#3b82f6', '#ef4444', '#8b5cf6', '#14b8a6'];
     }
 
     addClass(className) {
-        // Input validation
+        this.validateClassName(className);
+
+        const id = this.nextClassId++;
+        const newClass = {
+            id: id,
+            name: className,
+            color: DatasetManager.CLASS_COLORS[id % DatasetManager.CLASS_COLORS.length],
+            images: [],
+            // Image ids are unique within a class and never reused, so stored images keep their keys
+            nextImageId: 0
+        };
+        
+        this.classes.push(newClass);
+        this.notifyChange('class-added', { classObj: newClass });
+        return newClass;
+    }
+
+    validateClassName(className, currentClass = null) {
         if (!className || typeof className !== 'string') {
             throw new Error('Class name must be a non-empty string');
         }
@@ -23,31 +75,115 @@ class DatasetManager {
         }
 
         // Check if class already exists
-        if (this.classes.find(c => c.name === className)) {
+        if (this.classes.find(c => c.name === className && c !== currentClass)) {
             throw new Error(`Class "${className}" already exists`);
         }
-
-        const newClass = {
-            id: this.classes.length,
-            name: className,
-            images: []
-        };
-        
-        this.classes.push(newClass);
-        return newClass;
     }
 
     deleteClass(className) {
         const index = this.classes.findIndex(c => c.name === className);
         if (index !== -1) {
-            this.classes.splice(index, 1);
-            // Update class IDs
-            this.classes.forEach((c, i) => c.id = i);
+            const [removed] = this.classes.splice(index, 1);
+            this.dropUndoSteps(removed.id);
+            this.notifyChange('class-deleted', { classObj: removed });
             return true;
         }
         return false;
     }
 
+    renameClass(className, newName) {
+        const classObj = this.requireClass(className);
+        if (newName === className) return classObj;
+
+        this.validateClassName(newName, classObj);
+        classObj.name = newName;
+        this.notifyChange('class-renamed', { classObj, previousName: className });
+        return classObj;
+    }
+
+    setClassColor(className, color) {
+        const classObj = this.requireClass(className);
+        if (!/^#[0-9a-f]{6}$/i.test(color)) {
+            throw new Error('Class color must be a hex color like #6366f1');
+        }
+
+        classObj.color = color;
+        this.notifyChange('class-updated', { classObj });
+        return classObj;
+    }
+
+    // Move a class to a new position; positions decide the label order of the next training run
+    moveClass(className, toIndex) {
+        const classObj = this.requireClass(className);
+        const fromIndex = this.classes.indexOf(classObj);
+        const index = Math.max(0, Math.min(this.classes.length - 1, toIndex));
+        if (index === fromIndex) return false;
+
+        this.classes.splice(fromIndex, 1);
+        this.classes.splice(index, 0, classObj);
+        this.notifyChange('classes-reordered', { classObj, fromIndex, toIndex: index });
+        return true;
+    }
+
+    // Move every image of one class into another and remove the emptied class.
+    // Returns the number of images moved.
+    mergeClasses(className, targetClassName) {
+        const classObj = this.requireClass(className);
+        const target = this.requireClass(targetClassName);
+        if (target === classObj) {
+            throw new Error('Cannot merge a class into itself');
+        }
+
+        const moves = this.transferImages(classObj.images, target);
+        classObj.images = [];
+        this.classes.splice(this.classes.indexOf(classObj), 1);
+        this.dropUndoSteps(classObj.id);
+
+        this.notifyChange('classes-merged', { from: classObj, to: target, moves });
+        return moves.length;
+    }
+
+    getClassIds() {
+        return this.classes.map(c => c.id);
+    }
+
+    // Class ids a model was trained on, in label order. Evaluations saved before class ids were
+    // recorded only have names, which are matched to current classes (null when gone).
+    matchClassIds(classIds, classNames = []) {
+        if (classIds) return classIds;
+        if (classNames.length === 0) return this.getClassIds();
+
+        return classNames.map(name => {
+            const classObj = this.classes.find(c => c.name === name);
+            return classObj ? classObj.id : null;
+        });
+    }
+
+    // Current { name, color } for each output of a model trained on the given classes;
+    // classes deleted since then keep their old name
+    resolveClasses(classIds, classNames = []) {
+        return this.matchClassIds(classIds, classNames).map((id, i) => {
+            const classObj = id === null ? null : this.getClassById(id);
+            return classObj ?
+                { name: classObj.name, color: classObj.color } :
+                { name: `${classNames[i] || `Class ${i}`} (deleted)`, color: null };
+        });
+    }
+
+    // { added, removed } class names compared with the classes a model was trained on.
+    // Renaming or reordering classes doesn't change the set.
+    compareClassSet(classIds, classNames = []) {
+        const trainedIds = this.matchClassIds(classIds, classNames);
+        const currentIds = this.getClassIds();
+
+        return {
+            added: this.classes.filter(c => !trainedIds.includes(c.id)).map(c => c.name),
+            removed: trainedIds
+                .map((id, i) => currentIds.includes(id) ? null : (classNames[i] || `Class ${i}`))
+                .filter(name => name !== null)
+        };
+    }
+
     async addImageToClass(className, imageFile) {
         // Validate inputs
         if (!className || !imageFile) {
@@ -70,7 +206,7 @@ class DatasetManager {
             reader.onload = (e) => {
                 try {
                     const imageData = {
-                        id: classObj.images.length,
+                        id: classObj.nextImageId++,
                         file: imageFile,
                         dataUrl: e.target.result,
                         classId: classObj.id,
@@ -78,6 +214,7 @@ class DatasetManager {
                     };
 
                     classObj.images.push(imageData);
+                    this.notifyChange('image-added', { classObj, image: imageData });
                     resolve(imageData);
                 } catch (error) {
                     reject(new Error('Failed to process image: ' + error.message));
@@ -95,6 +232,159 @@ class DatasetManager {
         });
     }
 
+    getClassById(classId) {
+        return this.classes.find(c => c.id === classId) || null;
+    }
+
+    // Remove images from a class. Returns the number removed; the removal can be undone.
+    removeImages(className, imageIds) {
+        const classObj = this.requireClass(className);
+        const entries = this.takeImages(classObj, imageIds);
+        if (entries.length === 0) return 0;
+
+        this.pushUndo({
+            type: 'remove',
+            classId: classObj.id,
+            entries,
+            description: `Deleted ${this.describeCount(entries.length)} from "${classObj.name}"`
+        });
+        this.notifyChange('images-removed', { classObj, images: entries.map(entry => entry.image) });
+        return entries.length;
+    }
+
+    // Move images to another class, where they get fresh ids. Returns the number moved;
+    // the move can be undone.
+    moveImages(className, imageIds, targetClassName) {
+        const classObj = this.requireClass(className);
+        const target = this.requireClass(targetClassName);
+        if (target === classObj) {
+            throw new Error('Images are already in this class');
+        }
+
+        const entries = this.takeImages(classObj, imageIds);
+        if (entries.length === 0) return 0;
+
+        const moves = this.transferImages(entries.map(entry => entry.image), target);
+
+        this.pushUndo({
+            type: 'move',
+            classId: classObj.id,
+            targetClassId: target.id,
+            entries: entries.map((entry, i) => ({ ...entry, previousId: moves[i].previousId })),
+            description: `Moved ${this.describeCount(entries.length)} from "${classObj.name}" to "${target.name}"`
+        });
+        this.notifyChange('images-moved', { from: classObj, to: target, moves });
+        return entries.length;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    getUndoDescription() {
+        return this.canUndo() ? this.undoStack[this.undoStack.length - 1].description : null;
+    }
+
+    // Revert the most recent image delete or move, putting images back at their old
+    // positions with their old ids. Returns the undone operation's description.
+    undo() {
+        const operation = this.undoStack.pop();
+        if (!operation) {
+            throw new Error('Nothing to undo');
+        }
+
+        const classObj = this.getClassById(operation.classId);
+        if (!classObj) {
+            throw new Error('The class these images came from no longer exists');
+        }
+
+        if (operation.type === 'remove') {
+            this.insertImages(classObj, operation.entries);
+            this.notifyChange('images-restored', { classObj, images: operation.entries.map(entry => entry.image) });
+            return operation.description;
+        }
+
+        const target = this.getClassById(operation.targetClassId);
+        if (!target) {
+            throw new Error('The class these images were moved to no longer exists');
+        }
+
+        const moves = operation.entries.map(entry => {
+            const index = target.images.indexOf(entry.image);
+            if (index !== -1) {
+                target.images.splice(index, 1);
+            }
+
+            const previousId = entry.image.id;
+            entry.image.id = entry.previousId;
+            entry.image.classId = classObj.id;
+            return { image: entry.image, previousId };
+        });
+
+        this.insertImages(classObj, operation.entries);
+        this.notifyChange('images-moved', { from: target, to: classObj, moves });
+        return operation.description;
+    }
+
+    // Remove the given image ids from a class, returning [{ image, index }] in original order
+    takeImages(classObj, imageIds) {
+        const ids = new Set(imageIds);
+        const entries = [];
+
+        classObj.images = classObj.images.filter((image, index) => {
+            if (!ids.has(image.id)) return true;
+            entries.push({ image, index });
+            return false;
+        });
+
+        return entries;
+    }
+
+    // Append images to a class under fresh ids, returning [{ image, previousId }]
+    transferImages(images, target) {
+        return images.map(image => {
+            const previousId = image.id;
+            image.id = target.nextImageId++;
+            image.classId = target.id;
+            target.images.push(image);
+            return { image, previousId };
+        });
+    }
+
+    // Put images back at the indexes takeImages recorded; ascending order keeps them valid
+    insertImages(classObj, entries) {
+        [...entries].sort((a, b) => a.index - b.index).forEach(entry => {
+            entry.image.classId = classObj.id;
+            classObj.images.splice(Math.min(entry.index, classObj.images.length), 0, entry.image);
+        });
+    }
+
+    // Forget undo steps involving a class that no longer exists
+    dropUndoSteps(classId) {
+        this.undoStack = this.undoStack.filter(operation =>
+            operation.classId !== classId && operation.targetClassId !== classId
+        );
+    }
+
+    pushUndo(operation) {
+        this.undoStack.push(operation);
+        if (this.undoStack.length > this.maxUndoSteps) {
+            this.undoStack.shift();
+        }
+    }
+
+    requireClass(className) {
+        const classObj = this.classes.find(c => c.name === className);
+        if (!classObj) {
+            throw new Error(`Class "${className}" not found`);
+        }
+        return classObj;
+    }
+
+    describeCount(count) {
+        return `${count} image${count === 1 ? '' : 's'}`;
+    }
+
     validateImage(imageFile) {
         // Check if it's a file
         if (!(imageFile instanceof File)) {
@@ -134,36 +424,189 @@ class DatasetManager {
             }
         });
 
+        // Imbalance doesn't block training, but the models will lean towards the larger classes
+        const warnings = [];
+        const imbalance = this.getClassImbalance();
+        if (imbalance.isImbalanced) {
+            warnings.push(`Classes are imbalanced: "${imbalance.largest.name}" has ${imbalance.largest.count} images ` +
+                `but "${imbalance.smallest.name}" only ${imbalance.smallest.count} (${imbalance.ratio.toFixed(1)}×)`);
+        }
+
         return {
             isValid: errors.length === 0,
-            errors
+            errors,
+            warnings
+        };
+    }
+
+    // { isImbalanced, ratio, largest, smallest } comparing the largest and smallest class.
+    // Empty classes are left out; validateDataset already reports them as too small.
+    getClassImbalance() {
+        const distribution = this.getClassDistribution().filter(entry => entry.count > 0);
+        if (distribution.length < 2) {
+            return { isImbalanced: false, ratio: 1, largest: null, smallest: null };
+        }
+
+        const largest = distribution.reduce((a, b) => b.count > a.count ? b : a);
+        const smallest = distribution.reduce((a, b) => b.count < a.count ? b : a);
+        const ratio = largest.count / smallest.count;
+
+        return {
+            isImbalanced: ratio > this.validationRules.maxImbalanceRatio,
+            ratio,
+            largest,
+            smallest
         };
     }
 
-    prepareTrainingData() {
+    setSplitConfig(config) {
+        const merged = { ...this.splitConfig, ...config };
+
+        if (merged.validationRatio < 0 || merged.testRatio < 0) {
+            throw new Error('Split ratios cannot be negative');
+        }
+        if (merged.validationRatio + merged.testRatio >= 1) {
+            throw new Error('Validation and test ratios must leave images for training');
+        }
+        if (!Number.isInteger(merged.seed)) {
+            throw new Error('Split seed must be an integer');
+        }
+
+        this.splitConfig = merged;
+        return this.splitConfig;
+    }
+
+    // Returns { train, validation, test } (each { images, labels }) split per class so every
+    // split keeps the class proportions of the full dataset
+    prepareTrainingData(splitConfig = {}) {
         const validation = this.validateDataset();
         if (!validation.isValid) {
             throw new Error(`Dataset validation failed: ${validation.errors.join(', ')}`);
         }
 
+        const config = { ...this.splitConfig, ...splitConfig };
+        const random = this.createRandom(config.seed);
+
         // Reset dataset
         this.dataset = {
             images: [],
-            labels: []
+            labels: [],
+            train: { images: [], labels: [] },
+            validation: { images: [], labels: [] },
+            test: { images: [], labels: [] }
         };
 
-        // Prepare data for training
-        this.classes.forEach(classObj => {
-            classObj.images.forEach(image => {
-                this.dataset.images.push(image.dataUrl);
-                this.dataset.labels.push(classObj.id);
+        // Labels are class positions; trainers map them back to class ids via getClassIds()
+        this.classes.forEach((classObj, classIndex) => {
+            const images = this.shuffle(classObj.images.map(image => image.dataUrl), random);
+            const { testCount, validationCount } = this.getSplitCounts(images.length, config);
+
+            images.forEach((dataUrl, index) => {
+                let split = this.dataset.train;
+                if (index < testCount) {
+                    split = this.dataset.test;
+                } else if (index < testCount + validationCount) {
+                    split = this.dataset.validation;
+                }
+
+                split.images.push(dataUrl);
+                split.labels.push(classIndex);
+                this.dataset.images.push(dataUrl);
+                this.dataset.labels.push(classIndex);
             });
         });
 
-        console.log(`Prepared training data: ${this.dataset.images.length} images, ${this.classes.length} classes`);
+        console.log(`Prepared training data: ${this.dataset.train.images.length} train, ` +
+            `${this.dataset.validation.images.length} validation, ${this.dataset.test.images.length} test images, ` +
+            `${this.classes.length} classes`);
         return this.dataset;
     }
 
+    // Stratified k-fold split: returns k folds of { train, test } where every image is in
+    // exactly one test fold and each fold keeps the class proportions
+    prepareFolds(k, seed = this.splitConfig.seed) {
+        const validation = this.validateDataset();
+        if (!validation.isValid) {
+            throw new Error(`Dataset validation failed: ${validation.errors.join(', ')}`);
+        }
+
+        const smallestClass = Math.min(...this.classes.map(c => c.images.length));
+        if (!Number.isInteger(k) || k < 2) {
+            throw new Error('Number of folds must be an integer of at least 2');
+        }
+        if (k > smallestClass) {
+            throw new Error(`Number of folds (${k}) cannot exceed the smallest class size (${smallestClass})`);
+        }
+
+        const random = this.createRandom(seed);
+        const assignments = Array.from({ length: k }, () => []);
+        let offset = 0;
+
+        this.classes.forEach((classObj, classIndex) => {
+            const images = this.shuffle(classObj.images.map(image => image.dataUrl), random);
+            images.forEach((dataUrl, index) => {
+                assignments[(offset + index) % k].push({ dataUrl, label: classIndex });
+            });
+            // Rotate the starting fold so leftover images don't always land in the first folds
+            offset += images.length;
+        });
+
+        return assignments.map((testItems, foldIndex) => {
+            const trainItems = assignments
+                .filter((_, index) => index !== foldIndex)
+                .reduce((all, items) => all.concat(items), []);
+
+            return {
+                train: {
+                    images: trainItems.map(item => item.dataUrl),
+                    labels: trainItems.map(item => item.label)
+                },
+                test: {
+                    images: testItems.map(item => item.dataUrl),
+                    labels: testItems.map(item => item.label)
+                }
+            };
+        });
+    }
+
+    // Every class keeps at least one training image; held-out splits get one image as soon
+    // as their ratio is non-zero and the class is large enough
+    getSplitCounts(classSize, config) {
+        let testCount = config.testRatio > 0 ? Math.max(1, Math.round(classSize * config.testRatio)) : 0;
+        let validationCount = config.validationRatio > 0 ? Math.max(1, Math.round(classSize * config.validationRatio)) : 0;
+
+        while (testCount + validationCount > classSize - 1 && (testCount > 0 || validationCount > 0)) {
+            if (validationCount >= testCount && validationCount > 0) {
+                validationCount--;
+            } else {
+                testCount--;
+            }
+        }
+
+        return { testCount, validationCount };
+    }
+
+    // Small seeded PRNG (mulberry32) so splits are reproducible
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    shuffle(items, random = Math.random) {
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
     getClassCount() {
         return this.classes.length;
     }
@@ -179,9 +622,53 @@ class DatasetManager {
         }));
     }
 
+    // Replace all classes with previously saved ones (no change events are fired).
+    // nextClassId is the saved counter, so ids of deleted classes aren't handed out again.
+    restore(classes, nextClassId = 0) {
+        // Projects saved before classes had ids get their positions as ids
+        let nextId = classes.reduce((next, classData) =>
+            Number.isInteger(classData.id) ? Math.max(next, classData.id + 1) : next, nextClassId);
+        const usedIds = new Set();
+
+        this.classes = classes.map(classData => {
+            let id = classData.id;
+            if (!Number.isInteger(id) || usedIds.has(id)) {
+                id = nextId++;
+            }
+            usedIds.add(id);
+
+            // Keep stored ids so later deletes and moves address the same stored records
+            const images = classData.images.map((image, imageIndex) => ({
+                id: Number.isInteger(image.id) ? image.id : imageIndex,
+                file: image.file,
+                dataUrl: image.dataUrl,
+                classId: id,
+                timestamp: image.timestamp || Date.now()
+            }));
+
+            return {
+                id: id,
+                name: classData.name,
+                color: /^#[0-9a-f]{6}$/i.test(classData.color) ?
+                    classData.color :
+                    DatasetManager.CLASS_COLORS[id % DatasetManager.CLASS_COLORS.length],
+                images,
+                // The saved counter also covers ids of images deleted since; projects saved
+                // without one fall back to the largest surviving id
+                nextImageId: images.reduce((next, image) => Math.max(next, image.id + 1),
+                    Number.isInteger(classData.nextImageId) ? classData.nextImageId : 0)
+            };
+        });
+        this.nextClassId = nextId;
+        this.dataset = { images: [], labels: [] };
+        this.undoStack = [];
+    }
+
     // Utility method to clear all data
     clearAll() {
         this.classes = [];
         this.dataset = { images: [], labels: [] };
+        this.undoStack = [];
+        this.notifyChange('cleared');
     }
 }
\ No newline at end of file
@@ -0,0 +1,159 @@
+class ImageAugmenter {
+    constructor(config = {}) {
+        this.config = TrainerConfig.validate(config, ImageAugmenter.CONFIG_SCHEMA);
+    }
+
+    static get CONFIG_SCHEMA() {
+        return {
+            enabled: { label: 'Augment training images', type: 'boolean', default: false },
+            copies: { label: 'Copies per image', type: 'int', default: 3, min: 1, max: 20 },
+            // Works even with augmentation off: only the smaller classes get augmented copies
+            balanceClasses: { label: 'Oversample smaller classes', type: 'boolean', default: false },
+            flip: { label: 'Horizontal flips', type: 'boolean', default: true },
+            rotation: { label: 'Max rotation (°)', type: 'float', default: 15, min: 0, max: 180, step: 1 },
+            crop: { label: 'Max crop (fraction)', type: 'float', default: 0.1, min: 0, max: 0.5, step: 0.05 },
+            brightness: { label: 'Brightness jitter', type: 'float', default: 0.2, min: 0, max: 1, step: 0.05 },
+            contrast: { label: 'Contrast jitter', type: 'float', default: 0.2, min: 0, max: 1, step: 0.05 },
+            colorShift: { label: 'Color shift', type: 'float', default: 0.05, min: 0, max: 0.5, step: 0.01 },
+            noise: { label: 'Noise (std)', type: 'float', default: 0.02, min: 0, max: 0.5, step: 0.01 }
+        };
+    }
+
+    // Augmented images never need to be larger than the biggest model input (MobileNet's 224px)
+    static get MAX_SIZE() {
+        return 224;
+    }
+
+    setConfig(config) {
+        this.config = TrainerConfig.validate(config, ImageAugmenter.CONFIG_SCHEMA);
+        return this.config;
+    }
+
+    isEnabled() {
+        return this.config.enabled || this.config.balanceClasses;
+    }
+
+    // Returns the split plus `copies` augmented versions of every image, and with balanceClasses
+    // extra copies of the smaller classes until every class matches the largest. Only ever call
+    // this with the training split - validation and test images must stay untouched.
+    async augmentDataset(split, onProgress = null, signal = null) {
+        if (!this.isEnabled()) return split;
+
+        const images = [...split.images];
+        const labels = [...split.labels];
+        const copiesPerImage = this.getCopiesPerImage(split.labels);
+        const total = copiesPerImage.reduce((sum, count) => sum + count, 0);
+        let current = 0;
+
+        for (let i = 0; i < split.images.length; i++) {
+            if (copiesPerImage[i] === 0) continue;
+            const img = await ImagePreprocessor.getInstance().decode(split.images[i]);
+
+            for (let copy = 0; copy < copiesPerImage[i]; copy++) {
+                if (signal) signal.throwIfAborted();
+
+                images.push(this.augmentImage(img));
+                labels.push(split.labels[i]);
+                current++;
+
+                if (onProgress) {
+                    onProgress(current / total * 100, { stage: 'augmenting', current, total });
+                }
+            }
+
+            // Yield so progress can repaint
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        console.log(`Augmented training split: ${split.images.length} -> ${images.length} images`);
+        return { images, labels };
+    }
+
+    // Number of augmented copies to make of each image in the split
+    getCopiesPerImage(labels) {
+        const copies = this.config.enabled ? this.config.copies : 0;
+        const perImage = labels.map(() => copies);
+        if (!this.config.balanceClasses) return perImage;
+
+        const byClass = {};
+        labels.forEach((label, index) => {
+            (byClass[label] = byClass[label] || []).push(index);
+        });
+        const largest = Math.max(...Object.values(byClass).map(members => members.length));
+
+        // Spread each class's shortfall round-robin over its images
+        Object.values(byClass).forEach(members => {
+            const extra = (largest - members.length) * (1 + copies);
+            members.forEach((index, k) => {
+                perImage[index] += Math.floor(extra / members.length) + (k < extra % members.length ? 1 : 0);
+            });
+        });
+
+        return perImage;
+    }
+
+    // Preview samples for one image: `count` augmented data URLs
+    async preview(imageDataUrl, count) {
+        const img = await ImagePreprocessor.getInstance().decode(imageDataUrl);
+        return Array.from({ length: count }, () => this.augmentImage(img));
+    }
+
+    augmentImage(img) {
+        const config = this.config;
+        const scale = Math.min(1, ImageAugmenter.MAX_SIZE / Math.max(img.width, img.height));
+        const width = Math.max(1, Math.round(img.width * scale));
+        const height = Math.max(1, Math.round(img.height * scale));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+
+        // Geometric transforms: crop (zoom into a random window), rotation and flip around the center
+        const cropFraction = Math.random() * config.crop;
+        const zoom = 1 / (1 - cropFraction);
+        const offsetX = (Math.random() - 0.5) * cropFraction * width;
+        const offsetY = (Math.random() - 0.5) * cropFraction * height;
+        const angle = (Math.random() * 2 - 1) * config.rotation * Math.PI / 180;
+        const flip = config.flip && Math.random() < 0.5;
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+        ctx.translate(width / 2 + offsetX, height / 2 + offsetY);
+        ctx.rotate(angle);
+        ctx.scale(flip ? -zoom : zoom, zoom);
+        ctx.drawImage(img, -width / 2, -height / 2, width, height);
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+        // Photometric transforms on the pixels
+        const brightness = (Math.random() * 2 - 1) * config.brightness * 255;
+        const contrast = 1 + (Math.random() * 2 - 1) * config.contrast;
+        const shift = [0, 1, 2].map(() => (Math.random() * 2 - 1) * config.colorShift * 255);
+
+        if (brightness !== 0 || contrast !== 1 || config.colorShift > 0 || config.noise > 0) {
+            const imageData = ctx.getImageData(0, 0, width, height);
+            const data = imageData.data;
+
+            for (let i = 0; i < data.length; i += 4) {
+                for (let c = 0; c < 3; c++) {
+                    let value = (data[i + c] - 128) * contrast + 128 + brightness + shift[c];
+                    if (config.noise > 0) {
+                        value += this.gaussian() * config.noise * 255;
+                    }
+                    data[i + c] = value; // Uint8ClampedArray clamps to 0-255
+                }
+            }
+
+            ctx.putImageData(imageData, 0, 0);
+        }
+
+        return canvas.toDataURL('image/jpeg', 0.9);
+    }
+
+    // Standard normal sample (Box-Muller)
+    gaussian() {
+        const u = 1 - Math.random();
+        const v = Math.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,181 @@
+// Single place where images become model inputs. Trainers use the same calls at train and
+// predict time, so a model always sees pixels resized the way it was trained on.
+class ImagePreprocessor {
+    constructor(options = {}) {
+        // Resized pixels per (data URL hash, size, resize mode), evicted least-recently-used first.
+        // Keys hold a hash rather than the URL, so the byte limit covers nearly all the memory used.
+        this.pixelCache = new Map();
+        this.pixelCacheBytes = 0;
+        this.maxPixelCacheBytes = options.maxPixelCacheBytes || 64 * 1024 * 1024;
+        // Decoded <img> elements, so one image resized to several resolutions is decoded once
+        this.decodeCache = new Map();
+        this.maxDecodedImages = options.maxDecodedImages || 32;
+        // Hashes of recently used data URLs (references, like decodeCache), so repeat lookups skip rehashing
+        this.hashCache = new Map();
+    }
+
+    static get RESIZE_MODES() {
+        return ['stretch', 'center-crop'];
+    }
+
+    // Schema entry trainers add to their CONFIG_SCHEMA so the resize mode is saved with the model
+    static get RESIZE_MODE_SETTING() {
+        return {
+            label: 'Resize',
+            type: 'enum',
+            default: 'stretch',
+            options: [
+                { value: 'stretch', label: 'Stretch' },
+                { value: 'center-crop', label: 'Center crop' }
+            ]
+        };
+    }
+
+    static getInstance() {
+        if (!ImagePreprocessor.instance) {
+            ImagePreprocessor.instance = new ImagePreprocessor();
+        }
+        return ImagePreprocessor.instance;
+    }
+
+    // Data URLs are decoded (and cached); video, image and canvas elements are used as-is
+    async decode(input) {
+        if (typeof input !== 'string') {
+            return input;
+        }
+
+        if (this.decodeCache.has(input)) {
+            const cached = this.decodeCache.get(input);
+            this.touch(this.decodeCache, input, cached);
+            return cached;
+        }
+
+        const img = await new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('Failed to load image'));
+            image.src = input;
+        });
+
+        this.decodeCache.set(input, img);
+        if (this.decodeCache.size > this.maxDecodedImages) {
+            this.decodeCache.delete(this.decodeCache.keys().next().value);
+        }
+
+        return img;
+    }
+
+    // size x size RGBA ImageData. Only data URLs are cached - live video frames change every call.
+    async getPixels(input, size, resizeMode = 'stretch') {
+        if (!ImagePreprocessor.RESIZE_MODES.includes(resizeMode)) {
+            throw new Error(`Unknown resize mode: ${resizeMode}`);
+        }
+
+        const cacheKey = typeof input === 'string' ? `${size}:${resizeMode}:${this.getInputHash(input)}` : null;
+        if (cacheKey && this.pixelCache.has(cacheKey)) {
+            const cached = this.pixelCache.get(cacheKey);
+            this.touch(this.pixelCache, cacheKey, cached);
+            return cached;
+        }
+
+        const source = await this.decode(input);
+        const imageData = this.resize(source, size, resizeMode);
+
+        if (cacheKey) {
+            this.pixelCache.set(cacheKey, imageData);
+            this.pixelCacheBytes += imageData.data.byteLength;
+            this.evictPixels();
+        }
+
+        return imageData;
+    }
+
+    // Float tensor [size, size, 3] scaled to 0-1; the caller owns it and must dispose it
+    async getTensor(input, size, resizeMode = 'stretch') {
+        const imageData = await this.getPixels(input, size, resizeMode);
+        return tf.tidy(() => tf.browser.fromPixels(imageData).toFloat().div(255.0));
+    }
+
+    // Int tensor [size, size, 3] with raw 0-255 values (what MobileNet expects); caller disposes
+    async getPixelTensor(input, size, resizeMode = 'stretch') {
+        const imageData = await this.getPixels(input, size, resizeMode);
+        return tf.browser.fromPixels(imageData);
+    }
+
+    resize(source, size, resizeMode) {
+        const width = source.videoWidth || source.naturalWidth || source.width;
+        const height = source.videoHeight || source.naturalHeight || source.height;
+        if (!width || !height) {
+            throw new Error('Image has no pixels to read');
+        }
+
+        // center-crop keeps the aspect ratio by cutting the largest centered square
+        let sx = 0;
+        let sy = 0;
+        let sw = width;
+        let sh = height;
+        if (resizeMode === 'center-crop') {
+            const side = Math.min(width, height);
+            sx = (width - side) / 2;
+            sy = (height - side) / 2;
+            sw = side;
+            sh = side;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(source, sx, sy, sw, sh, 0, 0, size, size);
+
+        return ctx.getImageData(0, 0, size, size);
+    }
+
+    getInputHash(input) {
+        if (this.hashCache.has(input)) {
+            return this.hashCache.get(input);
+        }
+
+        const hash = `${input.length}:${ImagePreprocessor.hashString(input)}`;
+        this.hashCache.set(input, hash);
+        if (this.hashCache.size > this.maxDecodedImages) {
+            this.hashCache.delete(this.hashCache.keys().next().value);
+        }
+        return hash;
+    }
+
+    // 53-bit string hash (cyrb53); combined with the length, collisions between images are negligible
+    static hashString(str) {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < str.length; i++) {
+            const ch = str.charCodeAt(i);
+            h1 = Math.imul(h1 ^ ch, 2654435761);
+            h2 = Math.imul(h2 ^ ch, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+    }
+
+    // Move an entry to the back of the Map so eviction (front first) is least-recently-used
+    touch(cache, key, value) {
+        cache.delete(key);
+        cache.set(key, value);
+    }
+
+    evictPixels() {
+        while (this.pixelCacheBytes > this.maxPixelCacheBytes && this.pixelCache.size > 1) {
+            const [key, imageData] = this.pixelCache.entries().next().value;
+            this.pixelCache.delete(key);
+            this.pixelCacheBytes -= imageData.data.byteLength;
+        }
+    }
+
+    clearCache() {
+        this.pixelCache.clear();
+        this.pixelCacheBytes = 0;
+        this.decodeCache.clear();
+        this.hashCache.clear();
+    }
+}
\ No newline at end of file
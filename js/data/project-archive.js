@@ -0,0 +1,161 @@
+class ProjectArchive {
+    static get FORMAT_VERSION() {
+        return 1;
+    }
+
+    // Package classes (one folder per class with the original image files), a manifest
+    // and serialized model weights into a single ZIP blob
+    async exportProject(projectName, datasetManager, modelManager) {
+        this.checkLibrary();
+
+        const zip = new JSZip();
+        const manifest = {
+            format: 'ai-image-classifier-project',
+            version: ProjectArchive.FORMAT_VERSION,
+            name: projectName,
+            exportedAt: new Date().toISOString(),
+            nextClassId: datasetManager.nextClassId,
+            classes: [],
+            models: []
+        };
+
+        datasetManager.classes.forEach((classObj, classIndex) => {
+            const folder = `classes/${String(classIndex).padStart(2, '0')}-${this.sanitizeFileName(classObj.name)}`;
+            const classEntry = {
+                id: classObj.id,
+                name: classObj.name,
+                color: classObj.color,
+                folder: folder,
+                images: []
+            };
+
+            classObj.images.forEach((image, imageIndex) => {
+                const originalName = image.file ? image.file.name : `image-${imageIndex}.png`;
+                const fileName = `${String(imageIndex).padStart(4, '0')}-${this.sanitizeFileName(originalName)}`;
+                const blob = image.file || this.dataUrlToBlob(image.dataUrl);
+
+                zip.file(`${folder}/${fileName}`, blob);
+                classEntry.images.push({
+                    path: `${folder}/${fileName}`,
+                    name: originalName,
+                    type: blob.type,
+                    timestamp: image.timestamp
+                });
+            });
+
+            manifest.classes.push(classEntry);
+        });
+
+        for (const [modelType, model] of Object.entries(modelManager.models)) {
+            if (!model || !model.isTrained) continue;
+
+            const files = ModelSerializer.toFiles(await model.saveModel());
+            const folder = `models/${modelType}`;
+            Object.entries(files).forEach(([fileName, content]) => zip.file(`${folder}/${fileName}`, content));
+
+            manifest.models.push({
+                modelType: modelType,
+                folder: folder,
+                evaluation: modelManager.getEvaluationResults(modelType)
+            });
+        }
+
+        zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+
+        return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+    }
+
+    // Read an archive produced by exportProject back into { name, classes, models }
+    async importProject(file) {
+        this.checkLibrary();
+
+        const zip = await JSZip.loadAsync(file);
+        const manifestFile = zip.file('manifest.json');
+        if (!manifestFile) {
+            throw new Error('Archive has no manifest.json');
+        }
+
+        const manifest = JSON.parse(await manifestFile.async('string'));
+        if (manifest.format !== 'ai-image-classifier-project' || !Array.isArray(manifest.classes)) {
+            throw new Error('Archive is not a project export');
+        }
+        if (manifest.version > ProjectArchive.FORMAT_VERSION) {
+            throw new Error(`Archive version ${manifest.version} is newer than this app supports`);
+        }
+
+        const classes = [];
+        for (const classEntry of manifest.classes) {
+            const images = [];
+            for (const imageEntry of classEntry.images) {
+                const entry = zip.file(imageEntry.path);
+                if (!entry) {
+                    throw new Error(`Missing image ${imageEntry.path}`);
+                }
+
+                const data = await entry.async('blob');
+                const imageFile = new File([data], imageEntry.name, { type: imageEntry.type });
+                images.push({
+                    file: imageFile,
+                    dataUrl: await this.blobToDataUrl(imageFile),
+                    timestamp: imageEntry.timestamp
+                });
+            }
+            classes.push({ id: classEntry.id, name: classEntry.name, color: classEntry.color, images });
+        }
+
+        const models = [];
+        for (const modelEntry of manifest.models || []) {
+            const modelJson = zip.file(`${modelEntry.folder}/model.json`);
+            if (!modelJson) {
+                console.warn(`Skipping ${modelEntry.modelType}: model.json missing`);
+                continue;
+            }
+
+            const weightsFile = zip.file(`${modelEntry.folder}/weights.bin`);
+            const artifact = ModelSerializer.fromFiles(
+                JSON.parse(await modelJson.async('string')),
+                weightsFile ? await weightsFile.async('arraybuffer') : null
+            );
+
+            models.push({
+                modelType: modelEntry.modelType,
+                artifact: artifact,
+                evaluation: modelEntry.evaluation || null
+            });
+        }
+
+        return { name: manifest.name, nextClassId: manifest.nextClassId || 0, classes, models };
+    }
+
+    checkLibrary() {
+        if (!window.JSZip) {
+            throw new Error('JSZip library is not loaded');
+        }
+    }
+
+    sanitizeFileName(name) {
+        return name.replace(/[<>:"/\\|?*\x00-\x1f]/g, '_').slice(0, 80) || 'unnamed';
+    }
+
+    dataUrlToBlob(dataUrl) {
+        const [header, data] = dataUrl.split(',');
+        const mimeType = header.match(/:(.*?);/)[1];
+        const binary = atob(data);
+        const bytes = new Uint8Array(binary.length);
+
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+
+        return new Blob([bytes], { type: mimeType });
+    }
+
+    blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('Failed to read archived image'));
+            reader.readAsDataURL(blob);
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,315 @@
+class ProjectManager {
+    constructor(datasetManager, modelManager, store = new ProjectStore()) {
+        this.datasetManager = datasetManager;
+        this.modelManager = modelManager;
+        this.store = store;
+        this.archive = new ProjectArchive();
+        this.currentProject = null;
+        this.isRestoring = false;
+        this.isAvailable = !!window.indexedDB;
+    }
+
+    static get CURRENT_PROJECT_KEY() {
+        return 'ai-image-classifier:current-project';
+    }
+
+    async init() {
+        if (!this.isAvailable) {
+            console.warn('IndexedDB not available - projects will not be saved');
+            return null;
+        }
+
+        await this.store.open();
+
+        let projects = await this.store.listProjects();
+        if (projects.length === 0) {
+            projects = [await this.store.createProject('My Project')];
+        }
+
+        const lastProjectId = this.getLastProjectId();
+        const project = projects.find(p => p.id === lastProjectId) || projects[0];
+        await this.loadProject(project.id);
+
+        // Auto-save from here on
+        this.datasetManager.onChange(change => this.handleDatasetChange(change));
+        this.modelManager.onChange(change => this.handleModelChange(change));
+
+        return this.currentProject;
+    }
+
+    async listProjects() {
+        return this.isAvailable ? this.store.listProjects() : [];
+    }
+
+    async createProject(name) {
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            throw new Error('Project name must be a non-empty string');
+        }
+
+        // Checked before touching the store: loadProject() would refuse only after the project exists
+        if (this.modelManager.isAnyModelTraining()) {
+            throw new Error('Cannot create a project while training');
+        }
+
+        const project = await this.store.createProject(name.trim());
+        await this.loadProject(project.id);
+        return project;
+    }
+
+    async deleteProject(projectId) {
+        // Deleting the current project switches to another one, which isn't possible while training
+        if (this.modelManager.isAnyModelTraining()) {
+            throw new Error('Cannot delete a project while training');
+        }
+
+        await this.store.deleteProject(projectId);
+
+        if (this.currentProject && this.currentProject.id === projectId) {
+            const projects = await this.store.listProjects();
+            const next = projects[0] || await this.store.createProject('My Project');
+            await this.loadProject(next.id);
+        }
+    }
+
+    async loadProject(projectId) {
+        if (this.modelManager.isAnyModelTraining()) {
+            throw new Error('Cannot switch projects while training');
+        }
+
+        const project = await this.store.getProject(projectId);
+        if (!project) {
+            throw new Error(`Project ${projectId} not found`);
+        }
+
+        const projectData = await this.readProjectData(project);
+        await this.restoreProjectData(projectData);
+
+        this.currentProject = project;
+        this.setLastProjectId(project.id);
+        console.log(`Loaded project "${project.name}"`);
+
+        return project;
+    }
+
+    async exportArchive() {
+        const name = this.currentProject ? this.currentProject.name : 'Project';
+        return this.archive.exportProject(name, this.datasetManager, this.modelManager);
+    }
+
+    async importArchive(file) {
+        if (this.modelManager.isAnyModelTraining()) {
+            throw new Error('Cannot import a project while training');
+        }
+
+        const projectData = await this.archive.importProject(file);
+        await this.importProject(projectData);
+        return projectData;
+    }
+
+    // Import an archived project as a new project so it never overwrites the current one
+    async importProject(projectData) {
+        if (!this.isAvailable) {
+            await this.restoreProjectData(projectData);
+            return null;
+        }
+
+        const project = await this.store.createProject(projectData.name || 'Imported Project');
+        await this.store.saveClasses(project.id, projectData.classes, projectData.nextClassId);
+
+        for (const classData of projectData.classes) {
+            for (let i = 0; i < classData.images.length; i++) {
+                await this.store.putImage(project.id, classData.name, { ...classData.images[i], id: i });
+            }
+        }
+
+        for (const model of projectData.models) {
+            await this.store.putModel(project.id, model.modelType, model.artifact, model.evaluation);
+        }
+
+        return this.loadProject(project.id);
+    }
+
+    async readProjectData(project) {
+        const storedImages = await this.store.getImages(project.id);
+
+        const classes = [];
+        for (const classData of project.classes) {
+            const images = [];
+            for (const record of storedImages.filter(img => img.className === classData.name)) {
+                images.push({
+                    id: record.imageId,
+                    file: new File([record.blob], record.name, { type: record.blob.type }),
+                    dataUrl: await this.store.blobToDataUrl(record.blob),
+                    timestamp: record.timestamp
+                });
+            }
+            classes.push({
+                id: classData.id,
+                name: classData.name,
+                color: classData.color,
+                nextImageId: classData.nextImageId,
+                images
+            });
+        }
+
+        const models = (await this.store.getModels(project.id)).map(record => ({
+            modelType: record.modelType,
+            artifact: record.artifact,
+            evaluation: record.evaluation
+        }));
+
+        return { name: project.name, nextClassId: project.nextClassId || 0, classes, models };
+    }
+
+    // Replace the in-memory dataset and models without triggering auto-save
+    async restoreProjectData(projectData) {
+        this.isRestoring = true;
+
+        try {
+            this.datasetManager.clearAll();
+            this.modelManager.reset();
+            this.datasetManager.restore(projectData.classes, projectData.nextClassId);
+
+            for (const model of projectData.models) {
+                try {
+                    const trainer = this.modelManager.createTrainer(model.modelType);
+                    await trainer.loadModel(model.artifact);
+                    this.modelManager.setModel(model.modelType, trainer);
+
+                    if (model.evaluation) {
+                        this.modelManager.setEvaluationResults(model.modelType, model.evaluation);
+                    }
+                } catch (error) {
+                    console.error(`Failed to restore ${model.modelType} model:`, error);
+                }
+            }
+        } finally {
+            this.isRestoring = false;
+        }
+    }
+
+    handleDatasetChange(change) {
+        if (this.isRestoring || !this.currentProject) return;
+
+        const projectId = this.currentProject.id;
+        let saving;
+
+        switch (change.type) {
+            case 'class-added':
+            case 'class-updated':
+            case 'classes-reordered':
+                saving = this.saveClasses();
+                break;
+            case 'class-renamed':
+                saving = Promise.all([
+                    this.saveClasses(),
+                    this.store.renameClassImages(projectId, change.previousName, change.classObj.name)
+                ]);
+                break;
+            case 'classes-merged':
+                saving = Promise.all([
+                    this.saveClasses(),
+                    this.moveStoredImages(projectId, change)
+                ]);
+                break;
+            case 'class-deleted':
+                saving = Promise.all([
+                    this.saveClasses(),
+                    this.store.deleteClassImages(projectId, change.classObj.name)
+                ]);
+                break;
+            case 'image-added':
+                saving = this.store.putImage(projectId, change.classObj.name, change.image);
+                break;
+            case 'images-removed':
+                // The image id counter is saved so ids of the removed images aren't handed out again after a reload
+                saving = Promise.all([
+                    this.saveClasses(),
+                    ...change.images.map(image => this.store.deleteImage(projectId, change.classObj.name, image.id))
+                ]);
+                break;
+            case 'images-restored':
+                saving = Promise.all(change.images.map(image =>
+                    this.store.putImage(projectId, change.classObj.name, image)
+                ));
+                break;
+            case 'images-moved':
+                saving = Promise.all([
+                    this.saveClasses(),
+                    this.moveStoredImages(projectId, change)
+                ]);
+                break;
+            case 'cleared':
+                saving = Promise.all([
+                    this.saveClasses(),
+                    this.store.clearImages(projectId)
+                ]);
+                break;
+            default:
+                return;
+        }
+
+        saving.catch(error => console.error(`Failed to save project change (${change.type}):`, error));
+    }
+
+    handleModelChange(change) {
+        if (this.isRestoring || !this.currentProject) return;
+
+        let saving;
+
+        switch (change.type) {
+            case 'evaluation':
+                saving = this.saveModel(change.modelType);
+                break;
+            case 'reset':
+                saving = this.store.clearModels(this.currentProject.id);
+                break;
+            default:
+                return;
+        }
+
+        saving.catch(error => console.error(`Failed to save model change (${change.type}):`, error));
+    }
+
+    // Image records are keyed by class name and id, so a move is a delete plus a put
+    moveStoredImages(projectId, change) {
+        return Promise.all(change.moves.map(move => Promise.all([
+            this.store.deleteImage(projectId, change.from.name, move.previousId),
+            this.store.putImage(projectId, change.to.name, move.image)
+        ])));
+    }
+
+    async saveClasses() {
+        this.currentProject = await this.store.saveClasses(
+            this.currentProject.id,
+            this.datasetManager.classes,
+            this.datasetManager.nextClassId
+        );
+    }
+
+    async saveModel(modelType) {
+        const projectId = this.currentProject.id;
+        const model = this.modelManager.getModel(modelType);
+        if (!model || !model.isTrained) return;
+
+        const artifact = await model.saveModel();
+        const evaluation = this.modelManager.getEvaluationResults(modelType);
+        await this.store.putModel(projectId, modelType, artifact, evaluation);
+    }
+
+    getLastProjectId() {
+        try {
+            return localStorage.getItem(ProjectManager.CURRENT_PROJECT_KEY);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    setLastProjectId(projectId) {
+        try {
+            localStorage.setItem(ProjectManager.CURRENT_PROJECT_KEY, projectId);
+        } catch (error) {
+            console.warn('Could not remember current project:', error);
+        }
+    }
+}
\ No newline at end of file
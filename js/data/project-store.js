@@ -0,0 +1,261 @@
+class ProjectStore {
+    constructor(dbName = 'ai-image-classifier') {
+        this.dbName = dbName;
+        this.version = 1;
+        this.db = null;
+    }
+
+    async open() {
+        if (this.db) return this.db;
+
+        if (!window.indexedDB) {
+            throw new Error('IndexedDB is not supported in this browser');
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                if (!db.objectStoreNames.contains('projects')) {
+                    db.createObjectStore('projects', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('images')) {
+                    const images = db.createObjectStore('images', { keyPath: 'key' });
+                    images.createIndex('projectId', 'projectId');
+                    images.createIndex('projectClass', ['projectId', 'className']);
+                }
+                if (!db.objectStoreNames.contains('models')) {
+                    const models = db.createObjectStore('models', { keyPath: 'key' });
+                    models.createIndex('projectId', 'projectId');
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new Error('Failed to open project database: ' + request.error));
+            request.onblocked = () => reject(new Error('Project database is blocked by another tab'));
+        });
+
+        return this.db;
+    }
+
+    // Run fn inside a transaction and resolve once it has been committed
+    async transaction(storeNames, mode, fn) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error || new Error('Transaction failed'));
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+
+            try {
+                const stores = {};
+                [].concat(storeNames).forEach(name => stores[name] = tx.objectStore(name));
+                Promise.resolve(fn(stores)).then(value => result = value, error => {
+                    reject(error);
+                    tx.abort();
+                });
+            } catch (error) {
+                tx.abort();
+                reject(error);
+            }
+        });
+    }
+
+    request(idbRequest) {
+        return new Promise((resolve, reject) => {
+            idbRequest.onsuccess = () => resolve(idbRequest.result);
+            idbRequest.onerror = () => reject(idbRequest.error);
+        });
+    }
+
+    // Projects
+
+    async listProjects() {
+        const projects = await this.transaction('projects', 'readonly', stores =>
+            this.request(stores.projects.getAll())
+        );
+        return projects.sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    async getProject(projectId) {
+        return this.transaction('projects', 'readonly', stores =>
+            this.request(stores.projects.get(projectId))
+        );
+    }
+
+    async createProject(name) {
+        const project = {
+            id: `project-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            name: name,
+            classes: [],
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        };
+
+        await this.transaction('projects', 'readwrite', stores => {
+            stores.projects.put(project);
+        });
+        return project;
+    }
+
+    async updateProject(projectId, changes) {
+        return this.transaction('projects', 'readwrite', async stores => {
+            const project = await this.request(stores.projects.get(projectId));
+            if (!project) {
+                throw new Error(`Project ${projectId} not found`);
+            }
+
+            const updated = { ...project, ...changes, updatedAt: Date.now() };
+            stores.projects.put(updated);
+            return updated;
+        });
+    }
+
+    async deleteProject(projectId) {
+        await this.transaction(['projects', 'images', 'models'], 'readwrite', async stores => {
+            stores.projects.delete(projectId);
+            await this.deleteByIndex(stores.images.index('projectId'), projectId);
+            await this.deleteByIndex(stores.models.index('projectId'), projectId);
+        });
+    }
+
+    // Class order, ids, names, colors and image id counters live on the project record;
+    // images reference classes by name
+    async saveClasses(projectId, classes, nextClassId = 0) {
+        return this.updateProject(projectId, {
+            classes: classes.map(classObj => ({
+                id: classObj.id,
+                name: classObj.name,
+                color: classObj.color,
+                nextImageId: classObj.nextImageId
+            })),
+            nextClassId: nextClassId
+        });
+    }
+
+    // Images
+
+    async putImage(projectId, className, image) {
+        const blob = image.file || this.dataUrlToBlob(image.dataUrl);
+
+        await this.transaction('images', 'readwrite', stores => {
+            stores.images.put({
+                key: `${projectId}:${className}:${image.id}`,
+                projectId: projectId,
+                className: className,
+                imageId: image.id,
+                name: image.file ? image.file.name : `image-${image.id}.png`,
+                blob: blob,
+                timestamp: image.timestamp
+            });
+        });
+    }
+
+    async getImages(projectId) {
+        const images = await this.transaction('images', 'readonly', stores =>
+            this.request(stores.images.index('projectId').getAll(projectId))
+        );
+        return images.sort((a, b) => a.imageId - b.imageId);
+    }
+
+    async deleteImage(projectId, className, imageId) {
+        await this.transaction('images', 'readwrite', stores => {
+            stores.images.delete(`${projectId}:${className}:${imageId}`);
+        });
+    }
+
+    // Image keys include the class name, so a rename rewrites every record of the class
+    async renameClassImages(projectId, className, newClassName) {
+        await this.transaction('images', 'readwrite', async stores => {
+            const records = await this.request(stores.images.index('projectClass').getAll([projectId, className]));
+            records.forEach(record => {
+                stores.images.delete(record.key);
+                stores.images.put({
+                    ...record,
+                    key: `${projectId}:${newClassName}:${record.imageId}`,
+                    className: newClassName
+                });
+            });
+        });
+    }
+
+    async deleteClassImages(projectId, className) {
+        await this.transaction('images', 'readwrite', stores =>
+            this.deleteByIndex(stores.images.index('projectClass'), [projectId, className])
+        );
+    }
+
+    async clearImages(projectId) {
+        await this.transaction('images', 'readwrite', stores =>
+            this.deleteByIndex(stores.images.index('projectId'), projectId)
+        );
+    }
+
+    // Models
+
+    async putModel(projectId, modelType, artifact, evaluation) {
+        await this.transaction('models', 'readwrite', stores => {
+            stores.models.put({
+                key: `${projectId}:${modelType}`,
+                projectId: projectId,
+                modelType: modelType,
+                artifact: artifact,
+                evaluation: evaluation,
+                savedAt: Date.now()
+            });
+        });
+    }
+
+    async getModels(projectId) {
+        return this.transaction('models', 'readonly', stores =>
+            this.request(stores.models.index('projectId').getAll(projectId))
+        );
+    }
+
+    async clearModels(projectId) {
+        await this.transaction('models', 'readwrite', stores =>
+            this.deleteByIndex(stores.models.index('projectId'), projectId)
+        );
+    }
+
+    // Helpers
+
+    async deleteByIndex(index, key) {
+        const keys = await this.request(index.getAllKeys(key));
+        keys.forEach(primaryKey => index.objectStore.delete(primaryKey));
+    }
+
+    dataUrlToBlob(dataUrl) {
+        const [header, data] = dataUrl.split(',');
+        const mimeType = header.match(/:(.*?);/)[1];
+        const binary = atob(data);
+        const bytes = new Uint8Array(binary.length);
+
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+
+        return new Blob([bytes], { type: mimeType });
+    }
+
+    blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('Failed to read stored image'));
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,81 @@
+class CrossValidator {
+    constructor(modelManager, datasetManager, predictor, augmenter = null) {
+        this.modelManager = modelManager;
+        this.datasetManager = datasetManager;
+        this.predictor = predictor;
+        this.augmenter = augmenter;
+    }
+
+    // Train a fresh model per fold and score it on the held-out fold. The models trained
+    // here are thrown away; the active models in ModelManager are left untouched.
+    async run(modelType, k = 5, onProgress = null, config = {}, signal = null) {
+        const folds = this.datasetManager.prepareFolds(k);
+        const classNames = this.datasetManager.classes.map(c => c.name);
+        const numClasses = classNames.length;
+        const pooledMatrix = Array(numClasses).fill().map(() => Array(numClasses).fill(0));
+        const foldResults = [];
+
+        for (let foldIndex = 0; foldIndex < folds.length; foldIndex++) {
+            if (signal) signal.throwIfAborted();
+
+            const fold = folds[foldIndex];
+            const trainer = this.modelManager.createTrainer(modelType, config);
+
+            try {
+                // Only the training folds are augmented; the held-out fold is scored on original images
+                const train = this.augmenter ? await this.augmenter.augmentDataset(fold.train, null, signal) : fold.train;
+
+                await trainer.train(train, (progress, logs) => {
+                    if (onProgress) {
+                        const overall = (foldIndex + progress / 100) / folds.length * 100;
+                        onProgress(overall, { ...(typeof logs === 'object' ? logs : {}), fold: foldIndex + 1, folds: folds.length });
+                    }
+                }, { signal });
+
+                const { confusionMatrix: matrix, metrics } = await this.predictor.evaluateModel(trainer, fold.test, classNames);
+
+                matrix.forEach((row, i) => row.forEach((count, j) => pooledMatrix[i][j] += count));
+                foldResults.push({
+                    fold: foldIndex + 1,
+                    testSize: fold.test.images.length,
+                    accuracy: metrics.accuracy,
+                    macroF1: this.mean(metrics.f1Score),
+                    recall: metrics.recall
+                });
+
+                console.log(`${modelType} fold ${foldIndex + 1}/${folds.length}: accuracy = ${metrics.accuracy.toFixed(4)}`);
+            } finally {
+                if (trainer.dispose) trainer.dispose();
+            }
+        }
+
+        const pooledMetrics = this.predictor.calculateMetrics(pooledMatrix);
+
+        return {
+            modelType: modelType,
+            k: folds.length,
+            folds: foldResults,
+            accuracy: this.summarize(foldResults.map(f => f.accuracy)),
+            macroF1: this.summarize(foldResults.map(f => f.macroF1)),
+            recall: classNames.map((className, classIndex) => ({
+                className: className,
+                ...this.summarize(foldResults.map(f => f.recall[classIndex]))
+            })),
+            confusionMatrix: pooledMatrix,
+            pooledMetrics: pooledMetrics,
+            classNames: classNames
+        };
+    }
+
+    summarize(values) {
+        const mean = this.mean(values);
+        // Sample standard deviation - folds are a sample of possible splits
+        const variance = values.length > 1 ?
+            values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1) : 0;
+        return { mean, std: Math.sqrt(variance) };
+    }
+
+    mean(values) {
+        return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,132 @@
+// Combines the class probabilities of several trained models into one prediction.
+// 'average' needs no fitting; 'weighted' and 'stacking' are fitted on the models'
+// predictions for the validation split, which none of them was trained on.
+class ModelEnsemble {
+    constructor(method = 'average') {
+        this.setMethod(method);
+        this.reset();
+    }
+
+    static get METHODS() {
+        return ['average', 'weighted', 'stacking'];
+    }
+
+    setMethod(method) {
+        if (!ModelEnsemble.METHODS.includes(method)) {
+            throw new Error(`Unknown ensemble method: ${method}`);
+        }
+        this.method = method;
+    }
+
+    // Forget the fitted weights and stacker (e.g. after switching projects)
+    reset() {
+        this.modelTypes = null;
+        this.weights = null;
+        this.stacker = null;
+    }
+
+    isFitted() {
+        return this.modelTypes !== null;
+    }
+
+    // predictionsByModel: { modelType: [probabilities per validation image] }
+    fit(predictionsByModel, labels) {
+        const modelTypes = Object.keys(predictionsByModel);
+        if (modelTypes.length < 2) {
+            throw new Error('The ensemble needs at least two trained models');
+        }
+        if (labels.length === 0) {
+            throw new Error('The ensemble needs validation images to fit on');
+        }
+
+        // Weighted averaging uses each model's validation accuracy as its weight
+        const accuracies = modelTypes.map(type => {
+            const correct = predictionsByModel[type].filter((probs, i) => probs.indexOf(Math.max(...probs)) === labels[i]).length;
+            return correct / labels.length;
+        });
+        const totalAccuracy = accuracies.reduce((sum, value) => sum + value, 0);
+
+        this.modelTypes = modelTypes;
+        this.weights = accuracies.map(value => totalAccuracy > 0 ? value / totalAccuracy : 1 / modelTypes.length);
+        this.stacker = this.trainStacker(
+            labels.map((_, i) => this.stackFeatures(modelTypes.map(type => predictionsByModel[type][i]))),
+            labels,
+            predictionsByModel[modelTypes[0]][0].length
+        );
+
+        console.log('Ensemble fitted:', modelTypes.map((type, i) => `${type} ${(accuracies[i] * 100).toFixed(1)}%`).join(', '));
+        return { modelTypes, validationAccuracy: accuracies, weights: this.weights };
+    }
+
+    // probabilitiesByModel: { modelType: probabilities } for one image
+    combine(probabilitiesByModel) {
+        if (this.method === 'average') {
+            const all = Object.values(probabilitiesByModel);
+            if (all.length === 0) {
+                throw new Error('No trained models to combine');
+            }
+            return all[0].map((_, classIndex) => all.reduce((sum, probs) => sum + probs[classIndex], 0) / all.length);
+        }
+
+        if (!this.isFitted()) {
+            throw new Error('Ensemble not fitted yet - evaluate it in the Model Performance section');
+        }
+
+        const missing = this.modelTypes.filter(type => !probabilitiesByModel[type]);
+        if (missing.length > 0) {
+            throw new Error(`Ensemble was fitted with ${missing.join(', ')}, which is no longer trained`);
+        }
+        const ordered = this.modelTypes.map(type => probabilitiesByModel[type]);
+
+        if (this.method === 'weighted') {
+            return ordered[0].map((_, classIndex) =>
+                ordered.reduce((sum, probs, i) => sum + this.weights[i] * probs[classIndex], 0)
+            );
+        }
+
+        return this.predictStacker(this.stackFeatures(ordered));
+    }
+
+    // Meta-learner input: every model's probabilities side by side, plus a bias term
+    stackFeatures(probabilitiesList) {
+        return [...probabilitiesList.flat(), 1];
+    }
+
+    // Softmax regression on the stacked probabilities, trained with full-batch gradient
+    // descent and a little L2 so a small validation split can't produce huge weights
+    trainStacker(features, labels, numClasses, iterations = 300, learningRate = 0.5, l2 = 0.001) {
+        const numFeatures = features[0].length;
+        const weights = Array.from({ length: numClasses }, () => new Array(numFeatures).fill(0));
+
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            const gradient = Array.from({ length: numClasses }, () => new Array(numFeatures).fill(0));
+
+            features.forEach((x, i) => {
+                const probabilities = this.softmax(weights.map(row => row.reduce((sum, w, j) => sum + w * x[j], 0)));
+                probabilities.forEach((p, classIndex) => {
+                    const error = p - (labels[i] === classIndex ? 1 : 0);
+                    x.forEach((value, j) => {
+                        gradient[classIndex][j] += error * value / features.length;
+                    });
+                });
+            });
+
+            weights.forEach((row, classIndex) => row.forEach((w, j) => {
+                row[j] -= learningRate * (gradient[classIndex][j] + l2 * w);
+            }));
+        }
+
+        return weights;
+    }
+
+    predictStacker(x) {
+        return this.softmax(this.stacker.map(row => row.reduce((sum, w, j) => sum + w * x[j], 0)));
+    }
+
+    softmax(logits) {
+        const max = Math.max(...logits);
+        const exps = logits.map(value => Math.exp(value - max));
+        const total = exps.reduce((sum, value) => sum + value, 0);
+        return exps.map(value => value / total);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,58 @@
+class PredictionSmoother {
+    constructor(mode = 'ema', windowSize = 5) {
+        this.setOptions(mode, windowSize);
+    }
+
+    static get MODES() {
+        return ['none', 'ema', 'majority'];
+    }
+
+    // mode: 'none' | 'ema' (exponential moving average of probabilities) | 'majority' (vote over the last N frames)
+    setOptions(mode, windowSize) {
+        if (!PredictionSmoother.MODES.includes(mode)) {
+            throw new Error(`Unknown smoothing mode: ${mode}`);
+        }
+        if (!Number.isInteger(windowSize) || windowSize < 1) {
+            throw new Error('Smoothing window must be a positive whole number');
+        }
+
+        this.mode = mode;
+        this.windowSize = windowSize;
+        this.reset();
+    }
+
+    reset() {
+        this.state = {};
+    }
+
+    // Feed one frame's probabilities for a model and get the smoothed probabilities back
+    update(modelType, probabilities) {
+        if (this.mode === 'none' || !Array.isArray(probabilities)) {
+            return probabilities;
+        }
+
+        let state = this.state[modelType];
+        if (!state || state.length !== probabilities.length) {
+            state = this.state[modelType] = { length: probabilities.length, average: null, votes: [] };
+        }
+
+        if (this.mode === 'ema') {
+            // Same weighting as an N-period EMA
+            const alpha = 2 / (this.windowSize + 1);
+            state.average = state.average ?
+                state.average.map((value, i) => alpha * probabilities[i] + (1 - alpha) * value) :
+                [...probabilities];
+            return state.average;
+        }
+
+        // Majority vote: the share of recent frames each class won
+        state.votes.push(probabilities.indexOf(Math.max(...probabilities)));
+        if (state.votes.length > this.windowSize) {
+            state.votes.shift();
+        }
+
+        const counts = new Array(probabilities.length).fill(0);
+        state.votes.forEach(classIndex => counts[classIndex]++);
+        return counts.map(count => count / state.votes.length);
+    }
+}
\ No newline at end of file
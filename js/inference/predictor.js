@@ -3,9 +3,11 @@ class Predictor {
         this.modelManager = modelManager;
         this.datasetManager = datasetManager;
         this.isPredicting = false;
+        this.ensemble = new ModelEnsemble();
     }
 
-    async predictImage(imageDataUrl) {
+    // input is an image data URL or a video/image/canvas element (e.g. the live webcam feed)
+    async predictImage(input) {
         if (this.isPredicting) {
             throw new Error('Prediction already in progress');
         }
@@ -14,11 +16,10 @@ class Predictor {
         
         try {
             const predictions = {};
-            const classNames = this.datasetManager.classes.map(c => c.name);
 
             // Validate input
-            if (!imageDataUrl || typeof imageDataUrl !== 'string') {
-                throw new Error('Invalid image data URL');
+            if (!this.isValidInput(input)) {
+                throw new Error('Invalid image input');
             }
 
             // Get predictions from all trained models
@@ -26,11 +27,12 @@ class Predictor {
                 if (model && model.isTrained) {
                     try {
                         const startTime = performance.now();
-                        const probabilities = await model.predict(imageDataUrl);
+                        const probabilities = await model.predict(input);
                         const endTime = performance.now();
                         
                         predictions[type] = {
-                            predictions: this.formatPredictions(probabilities, classNames),
+                            probabilities: probabilities,
+                            predictions: this.formatPredictions(probabilities, this.getModelClasses(type)),
                             inferenceTime: endTime - startTime
                         };
                     } catch (error) {
@@ -49,6 +51,8 @@ class Predictor {
                 }
             }
 
+            predictions.ensemble = this.combinePredictions(predictions);
+
             return predictions;
         } catch (error) {
             console.error('Error in predictImage:', error);
@@ -58,14 +62,173 @@ class Predictor {
         }
     }
 
-    formatPredictions(probabilities, classNames) {
+    // Class ids a model's outputs stand for, from the classes recorded when it was trained
+    getModelClassIds(modelType) {
+        const evaluation = this.modelManager.getEvaluationResults(modelType) || {};
+        return this.datasetManager.matchClassIds(evaluation.classIds, evaluation.classNames);
+    }
+
+    // Current { name, color } per output of a model, so renamed or reordered classes still
+    // line up with what the model learned
+    getModelClasses(modelType) {
+        if (modelType === 'ensemble') {
+            const trained = Object.keys(this.modelManager.models).find(type => this.modelManager.isModelTrained(type));
+            return trained ?
+                this.alignOutputs(trained, this.getModelClasses(trained), this.getEnsembleClassIds(trained)) :
+                this.datasetManager.resolveClasses(null);
+        }
+
+        const evaluation = this.modelManager.getEvaluationResults(modelType) || {};
+        return this.datasetManager.resolveClasses(evaluation.classIds, evaluation.classNames);
+    }
+
+    // Class order the ensemble combines outputs in: the current order, so models trained before
+    // classes were reordered still line up, then any classes deleted since the model was trained
+    getEnsembleClassIds(modelType) {
+        const modelIds = this.getModelClassIds(modelType);
+        const currentIds = this.datasetManager.getClassIds();
+        return [
+            ...currentIds.filter(id => modelIds.includes(id)),
+            ...modelIds.filter(id => !currentIds.includes(id))
+        ];
+    }
+
+    // Reorder a model's per-output values (probabilities, classes) to the given class ids
+    alignOutputs(modelType, values, classIds) {
+        const modelIds = this.getModelClassIds(modelType);
+        return classIds.map(id => values[modelIds.indexOf(id)]);
+    }
+
+    // Ensemble result from the per-model results of one predictImage call
+    combinePredictions(predictions) {
+        const probabilitiesByModel = {};
+        let inferenceTime = 0;
+
+        for (const [type, result] of Object.entries(predictions)) {
+            if (result.probabilities && !result.error) {
+                probabilitiesByModel[type] = result.probabilities;
+                inferenceTime += result.inferenceTime;
+            }
+        }
+
+        if (Object.keys(probabilitiesByModel).length < 2) {
+            return {
+                predictions: [{ className: 'Needs two trained models', probability: 0 }],
+                inferenceTime: 0
+            };
+        }
+
+        // Outputs are matched by class id, so the order a model lists its classes in doesn't
+        // matter, but every model must know the same classes
+        const modelTypes = Object.keys(probabilitiesByModel);
+        const classIds = this.getEnsembleClassIds(modelTypes[0]);
+        const sameClasses = modelTypes.every(type => {
+            const modelIds = this.getModelClassIds(type);
+            return modelIds.length === classIds.length && modelIds.every(id => classIds.includes(id));
+        });
+        if (!sameClasses) {
+            return {
+                predictions: [{ className: 'Models were trained on different classes', probability: 0 }],
+                inferenceTime: 0
+            };
+        }
+
+        modelTypes.forEach(type => {
+            probabilitiesByModel[type] = this.alignOutputs(type, probabilitiesByModel[type], classIds);
+        });
+
+        try {
+            const probabilities = this.ensemble.combine(probabilitiesByModel);
+            return {
+                probabilities: probabilities,
+                predictions: this.formatPredictions(probabilities, this.getModelClasses('ensemble')),
+                inferenceTime: inferenceTime
+            };
+        } catch (error) {
+            return {
+                predictions: [{ className: 'Prediction Error', probability: 0 }],
+                inferenceTime: 0,
+                error: error.message
+            };
+        }
+    }
+
+    // Probabilities of every trained model for each image, in the current class order so they
+    // line up with the labels: { modelType: [probabilities] }
+    async collectPredictions(images) {
+        const predictionsByModel = {};
+        const classIds = this.datasetManager.getClassIds();
+
+        for (const [type, model] of Object.entries(this.modelManager.models)) {
+            if (!model || !model.isTrained) continue;
+
+            predictionsByModel[type] = [];
+            for (const imageDataUrl of images) {
+                predictionsByModel[type].push(this.alignOutputs(type, await model.predict(imageDataUrl), classIds));
+            }
+        }
+
+        return predictionsByModel;
+    }
+
+    // Validation and test labels only have a matching output in every model while the models
+    // know exactly the current classes. Reordering is fine (see collectPredictions); this is the
+    // same rule as the class-change banner in TrainingUI.
+    checkEnsembleClasses() {
+        const outdated = Object.keys(this.modelManager.models)
+            .filter(type => this.modelManager.isModelTrained(type))
+            .some(type => {
+                const evaluation = this.modelManager.getEvaluationResults(type) || {};
+                const changes = this.datasetManager.compareClassSet(evaluation.classIds, evaluation.classNames);
+                return changes.added.length > 0 || changes.removed.length > 0;
+            });
+
+        if (outdated) {
+            throw new Error('Classes were added or removed since some models were trained - retrain all models to evaluate the ensemble');
+        }
+    }
+
+    // Fit the ensemble weights and stacker on the validation split
+    async fitEnsemble(validationData) {
+        this.checkEnsembleClasses();
+        const predictionsByModel = await this.collectPredictions(validationData.images);
+        return this.ensemble.fit(predictionsByModel, validationData.labels);
+    }
+
+    // Same summary as evaluateModel, for the ensemble's combined predictions
+    async evaluateEnsemble(testData, classNames) {
+        this.checkEnsembleClasses();
+        const predictionsByModel = await this.collectPredictions(testData.images);
+        const predictions = testData.images.map((_, index) => {
+            const probabilitiesByModel = {};
+            Object.entries(predictionsByModel).forEach(([type, list]) => {
+                probabilitiesByModel[type] = list[index];
+            });
+            return this.ensemble.combine(probabilitiesByModel);
+        });
+
+        return this.summarizePredictions(predictions, testData, classNames);
+    }
+
+    isValidInput(input) {
+        if (typeof input === 'string') {
+            return input.length > 0;
+        }
+        return input instanceof HTMLVideoElement ||
+            input instanceof HTMLImageElement ||
+            input instanceof HTMLCanvasElement;
+    }
+
+    // classes: { name, color } per output, as returned by getModelClasses
+    formatPredictions(probabilities, classes) {
         if (!probabilities || !Array.isArray(probabilities)) {
             return [{ className: 'Invalid prediction', probability: 0 }];
         }
 
         return probabilities
             .map((probability, index) => ({
-                className: classNames[index] || `Class ${index}`,
+                className: classes[index] ? classes[index].name : `Class ${index}`,
+                color: classes[index] ? classes[index].color : null,
                 probability: probability
             }))
             .sort((a, b) => b.probability - a.probability)
@@ -83,7 +246,12 @@ class Predictor {
             if (model && model.isTrained) {
                 try {
                     console.log(`Evaluating ${type}...`);
-                    const evaluation = await model.evaluate(testData.images, testData.labels);
+                    const details = await this.evaluateModel(model, testData, this.datasetManager.classes.map(c => c.name));
+                    const evaluation = {
+                        ...model.getEvaluationInfo(),
+                        accuracy: details.metrics.accuracy,
+                        loss: details.logLoss
+                    };
                     evaluations[type] = evaluation;
                     
                     // Update model manager
@@ -108,6 +276,67 @@ class Predictor {
         return evaluations;
     }
 
+    // Predict every test image with one model and summarize the results per class. This is the
+    // only test-set inference pass; trainers just add model details through getEvaluationInfo().
+    async evaluateModel(model, testData, classNames) {
+        const predictions = [];
+        for (const imageDataUrl of testData.images) {
+            predictions.push(await model.predict(imageDataUrl));
+        }
+
+        return this.summarizePredictions(predictions, testData, classNames);
+    }
+
+    summarizePredictions(predictions, testData, classNames) {
+        const confusionMatrix = this.generateConfusionMatrix(predictions, testData.labels, classNames);
+        const metrics = this.calculateMetrics(confusionMatrix);
+        const samples = predictions.map((probabilities, index) => {
+            const predicted = probabilities.indexOf(Math.max(...probabilities));
+            return {
+                dataUrl: testData.images[index],
+                actual: testData.labels[index],
+                predicted: predicted,
+                confidence: probabilities[predicted] || 0
+            };
+        });
+
+        const calibrationError = this.calculateCalibrationError(predictions, testData.labels);
+        const logLoss = this.calculateLogLoss(predictions, testData.labels);
+
+        return { confusionMatrix, metrics, samples, calibrationError, logLoss };
+    }
+
+    // Mean cross-entropy of the actual classes' probabilities, clipped so a confident miss stays finite
+    calculateLogLoss(predictions, actualLabels) {
+        if (predictions.length === 0) return null;
+
+        const total = predictions.reduce((sum, probabilities, index) =>
+            sum - Math.log(Math.max(1e-7, probabilities[actualLabels[index]] || 0)), 0);
+        return total / predictions.length;
+    }
+
+    // Expected calibration error: how far top-1 confidence is from actual accuracy, averaged
+    // over equal-width confidence bins weighted by how many predictions fall in each
+    calculateCalibrationError(predictions, actualLabels, numBins = 10) {
+        const bins = Array.from({ length: numBins }, () => ({ count: 0, confidence: 0, correct: 0 }));
+
+        predictions.forEach((probabilities, index) => {
+            const predicted = probabilities.indexOf(Math.max(...probabilities));
+            const confidence = probabilities[predicted] || 0;
+            const bin = bins[Math.min(numBins - 1, Math.floor(confidence * numBins))];
+
+            bin.count++;
+            bin.confidence += confidence;
+            if (predicted === actualLabels[index]) bin.correct++;
+        });
+
+        const total = predictions.length;
+        if (total === 0) return null;
+
+        return bins.reduce((error, bin) => bin.count === 0 ? error :
+            error + (bin.count / total) * Math.abs(bin.correct / bin.count - bin.confidence / bin.count), 0);
+    }
+
     generateConfusionMatrix(predictions, actualLabels, classNames) {
         if (!predictions || !actualLabels || !classNames) {
             throw new Error('Invalid input for confusion matrix');
@@ -148,6 +377,9 @@ class Predictor {
         let correctPredictions = 0;
         let totalPredictions = 0;
 
+        // Every sample lands in exactly one cell, so the matrix sum is the sample count
+        confusionMatrix.forEach(row => row.forEach(count => totalPredictions += count || 0));
+
         for (let i = 0; i < numClasses; i++) {
             let truePositives = confusionMatrix[i][i] || 0;
             let falsePositives = 0;
@@ -161,7 +393,6 @@ class Predictor {
             }
 
             correctPredictions += truePositives;
-            totalPredictions += truePositives + falsePositives + falseNegatives;
 
             const precision = truePositives + falsePositives > 0 ? 
                 truePositives / (truePositives + falsePositives) : 0;
@@ -217,6 +448,9 @@ class Predictor {
         let maxTime = 0;
 
         for (const [modelType, result] of Object.entries(predictions)) {
+            // The ensemble reuses the models' predictions, so it isn't a model of its own here
+            if (modelType === 'ensemble') continue;
+
             stats.totalModels++;
             
             if (result.predictions && result.predictions[0].probability > 0) {
@@ -0,0 +1,219 @@
+// Maps a model's raw class probabilities to calibrated ones, fitted on held-out validation
+// predictions. Each class gets its own one-vs-rest mapping and the results are renormalized.
+// Trainers keep the fitted calibrator (null for 'none') and apply it in predict() on top of
+// predictUncalibrated(), which is what the calibrator itself is fitted on.
+class ProbabilityCalibrator {
+    constructor(method, classMaps = []) {
+        if (!ProbabilityCalibrator.METHODS.includes(method) || method === 'none') {
+            throw new Error(`Unknown calibration method: ${method}`);
+        }
+
+        this.method = method;
+        // platt: { a, b } per class; isotonic: { xs, ys } breakpoints per class
+        this.classMaps = classMaps;
+    }
+
+    static get METHODS() {
+        return ['none', 'platt', 'isotonic'];
+    }
+
+    // Schema entry every trainer adds to its CONFIG_SCHEMA
+    static get SETTING() {
+        return {
+            label: 'Calibration',
+            type: 'enum',
+            default: 'none',
+            options: [
+                { value: 'none', label: 'None' },
+                { value: 'platt', label: 'Platt scaling' },
+                { value: 'isotonic', label: 'Isotonic regression' }
+            ]
+        };
+    }
+
+    // Fit on a trained model's uncalibrated predictions for the validation split. Returns null
+    // (no calibration) when the method is 'none' or there are no validation images.
+    static async fitModel(model, validationData, method, signal = null) {
+        if (method === 'none') return null;
+
+        if (!validationData || validationData.images.length === 0) {
+            console.warn('No validation images, skipping probability calibration');
+            return null;
+        }
+
+        const probabilities = [];
+        for (const image of validationData.images) {
+            if (signal) signal.throwIfAborted();
+            probabilities.push(await model.predictUncalibrated(image));
+        }
+
+        const calibrator = new ProbabilityCalibrator(method);
+        calibrator.fit(probabilities, validationData.labels);
+        console.log(`Fitted ${method} calibration on ${probabilities.length} validation images`);
+        return calibrator;
+    }
+
+    fit(probabilities, labels) {
+        const numClasses = probabilities[0].length;
+
+        this.classMaps = Array.from({ length: numClasses }, (_, classIndex) => {
+            const scores = probabilities.map(probs => probs[classIndex]);
+            const targets = labels.map(label => label === classIndex ? 1 : 0);
+            return this.method === 'platt' ?
+                ProbabilityCalibrator.fitPlatt(scores, targets) :
+                ProbabilityCalibrator.fitIsotonic(scores, targets);
+        });
+
+        return this;
+    }
+
+    apply(probabilities) {
+        if (!Array.isArray(probabilities) || probabilities.length !== this.classMaps.length) {
+            return probabilities;
+        }
+
+        const mapped = probabilities.map((p, classIndex) => this.method === 'platt' ?
+            ProbabilityCalibrator.applyPlatt(this.classMaps[classIndex], p) :
+            ProbabilityCalibrator.applyIsotonic(this.classMaps[classIndex], p));
+
+        const total = mapped.reduce((sum, p) => sum + p, 0);
+        return total > 0 ? mapped.map(p => p / total) : mapped.map(() => 1 / mapped.length);
+    }
+
+    // Platt scaling: sigmoid(a * logit(p) + b), fitted with Newton's method plus backtracking
+    // (Lin, Lin & Weng) on Platt's smoothed targets, so a perfectly separated validation set
+    // doesn't push a to infinity
+    static fitPlatt(scores, targets) {
+        const positives = targets.filter(t => t === 1).length;
+        const negatives = targets.length - positives;
+        const high = (positives + 1) / (positives + 2);
+        const low = 1 / (negatives + 2);
+        const xs = scores.map(p => ProbabilityCalibrator.logit(p));
+        const ts = targets.map(t => t === 1 ? high : low);
+
+        // Negative log-likelihood of the smoothed targets
+        const loss = (a, b) => xs.reduce((sum, x, i) => {
+            const z = a * x + b;
+            // log(1 + e^z) - t * z, written to avoid overflow for large |z|
+            return sum + Math.max(z, 0) + Math.log1p(Math.exp(-Math.abs(z))) - ts[i] * z;
+        }, 0);
+
+        let a = 1;
+        let b = 0;
+        let currentLoss = loss(a, b);
+
+        for (let iteration = 0; iteration < 100; iteration++) {
+            let gradA = 0;
+            let gradB = 0;
+            let hAA = 1e-6;
+            let hAB = 0;
+            let hBB = 1e-6;
+
+            xs.forEach((x, i) => {
+                const p = ProbabilityCalibrator.sigmoid(a * x + b);
+                const weight = p * (1 - p);
+                gradA += (p - ts[i]) * x;
+                gradB += p - ts[i];
+                hAA += weight * x * x;
+                hAB += weight * x;
+                hBB += weight;
+            });
+
+            const determinant = hAA * hBB - hAB * hAB;
+            if (Math.abs(determinant) < 1e-12) break;
+
+            const stepA = (hBB * gradA - hAB * gradB) / determinant;
+            const stepB = (hAA * gradB - hAB * gradA) / determinant;
+
+            // Halve the step until the loss actually decreases
+            let scale = 1;
+            let nextLoss = loss(a - stepA, b - stepB);
+            while (nextLoss > currentLoss && scale > 1e-10) {
+                scale /= 2;
+                nextLoss = loss(a - scale * stepA, b - scale * stepB);
+            }
+            if (nextLoss > currentLoss) break;
+
+            a -= scale * stepA;
+            b -= scale * stepB;
+            const improvement = currentLoss - nextLoss;
+            currentLoss = nextLoss;
+
+            if (improvement < 1e-10) break;
+        }
+
+        return { a, b };
+    }
+
+    static applyPlatt(map, p) {
+        return ProbabilityCalibrator.sigmoid(map.a * ProbabilityCalibrator.logit(p) + map.b);
+    }
+
+    // Isotonic regression with pool-adjacent-violators; the fitted step function is stored as
+    // (mean score, calibrated value) breakpoints and interpolated linearly between them
+    static fitIsotonic(scores, targets) {
+        const order = scores.map((_, i) => i).sort((a, b) => scores[a] - scores[b]);
+
+        // Tied scores must share one calibrated value, so each distinct score starts as one block
+        const groups = [];
+        order.forEach(i => {
+            const last = groups[groups.length - 1];
+            if (last && last.score === scores[i]) {
+                last.sumX += scores[i];
+                last.sumY += targets[i];
+                last.count++;
+            } else {
+                groups.push({ score: scores[i], sumX: scores[i], sumY: targets[i], count: 1 });
+            }
+        });
+
+        const blocks = [];
+        groups.forEach(group => {
+            blocks.push({ sumX: group.sumX, sumY: group.sumY, count: group.count });
+
+            while (blocks.length > 1) {
+                const last = blocks[blocks.length - 1];
+                const previous = blocks[blocks.length - 2];
+                if (previous.sumY / previous.count <= last.sumY / last.count) break;
+
+                previous.sumX += last.sumX;
+                previous.sumY += last.sumY;
+                previous.count += last.count;
+                blocks.pop();
+            }
+        });
+
+        return {
+            xs: blocks.map(block => block.sumX / block.count),
+            ys: blocks.map(block => block.sumY / block.count)
+        };
+    }
+
+    static applyIsotonic(map, p) {
+        const { xs, ys } = map;
+        if (p <= xs[0]) return ys[0];
+        if (p >= xs[xs.length - 1]) return ys[ys.length - 1];
+
+        let i = 1;
+        while (xs[i] < p) i++;
+        const t = (p - xs[i - 1]) / (xs[i] - xs[i - 1]);
+        return ys[i - 1] + t * (ys[i] - ys[i - 1]);
+    }
+
+    static logit(p) {
+        const clipped = Math.min(1 - 1e-6, Math.max(1e-6, p));
+        return Math.log(clipped / (1 - clipped));
+    }
+
+    static sigmoid(x) {
+        return 1 / (1 + Math.exp(-x));
+    }
+
+    toJSON() {
+        return { method: this.method, classMaps: this.classMaps };
+    }
+
+    static fromJSON(json) {
+        return new ProbabilityCalibrator(json.method, json.classMaps);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,256 @@
+// Tree building and forest voting shared by RandomForestTrainer and the random forest worker.
+// Must stay free of DOM access so it can be loaded with importScripts().
+class DecisionForest {
+    // Sample numSamples indices with replacement; inBag marks the samples the tree has seen.
+    // With labels, each class gets an equal share of the draws (balanced bootstrap).
+    static bootstrap(numSamples, labels = null) {
+        const indices = [];
+        const inBag = new Set();
+
+        if (labels) {
+            const byClass = {};
+            labels.forEach((label, index) => {
+                (byClass[label] = byClass[label] || []).push(index);
+            });
+            const classes = Object.values(byClass);
+            for (let j = 0; j < numSamples; j++) {
+                const members = classes[j % classes.length];
+                const randomIndex = members[Math.floor(Math.random() * members.length)];
+                indices.push(randomIndex);
+                inBag.add(randomIndex);
+            }
+            return { indices, inBag };
+        }
+
+        for (let j = 0; j < numSamples; j++) {
+            const randomIndex = Math.floor(Math.random() * numSamples);
+            indices.push(randomIndex);
+            inBag.add(randomIndex);
+        }
+
+        return { indices, inBag };
+    }
+
+    // Build one bootstrapped tree. Returns the tree, [sampleIndex, prediction] pairs for the
+    // samples it never saw (out-of-bag) and its impurity-decrease importance per feature.
+    // options: { maxDepth, minSamplesLeaf, criterion: 'gini' | 'entropy', balanced, numClasses }
+    static buildBootstrapTree(features, labels, options = {}) {
+        const { indices, inBag } = DecisionForest.bootstrap(features.length, options.balanced ? labels : null);
+        const importance = new Array(features[0].length).fill(0);
+        const tree = DecisionForest.trainDecisionTree(
+            indices.map(i => features[i]),
+            indices.map(i => labels[i]),
+            0,
+            { ...DecisionForest.DEFAULT_OPTIONS, ...options, importance, totalSamples: indices.length }
+        );
+
+        const oobPredictions = [];
+        for (let j = 0; j < features.length; j++) {
+            if (inBag.has(j)) continue;
+            oobPredictions.push([j, DecisionForest.traverseTree(features[j], tree)]);
+        }
+
+        return { tree, oobPredictions, importance };
+    }
+
+    static get DEFAULT_OPTIONS() {
+        return { maxDepth: 10, minSamplesLeaf: 1, criterion: 'gini', balanced: false, numClasses: null };
+    }
+
+    static trainDecisionTree(features, labels, depth, options) {
+        const numClasses = options.numClasses || Math.max(...labels) + 1;
+
+        if (features.length === 0 || depth >= options.maxDepth || features.length < 2 * options.minSamplesLeaf) {
+            return DecisionForest.createLeafNode(labels);
+        }
+
+        const uniqueLabels = [...new Set(labels)];
+        if (uniqueLabels.length === 1) {
+            return DecisionForest.createLeafNode(labels);
+        }
+
+        // Find best split
+        const bestSplit = DecisionForest.findBestSplit(features, labels, { ...options, numClasses });
+        if (!bestSplit) {
+            return DecisionForest.createLeafNode(labels);
+        }
+
+        // Weighted impurity decrease (mean decrease in impurity) credited to the split feature
+        if (options.importance) {
+            options.importance[bestSplit.featureIndex] += bestSplit.gain * features.length / options.totalSamples;
+        }
+
+        // Split data
+        const leftFeatures = [];
+        const leftLabels = [];
+        const rightFeatures = [];
+        const rightLabels = [];
+
+        for (let i = 0; i < features.length; i++) {
+            if (features[i][bestSplit.featureIndex] <= bestSplit.threshold) {
+                leftFeatures.push(features[i]);
+                leftLabels.push(labels[i]);
+            } else {
+                rightFeatures.push(features[i]);
+                rightLabels.push(labels[i]);
+            }
+        }
+
+        return {
+            type: 'node',
+            featureIndex: bestSplit.featureIndex,
+            threshold: bestSplit.threshold,
+            left: DecisionForest.trainDecisionTree(leftFeatures, leftLabels, depth + 1, options),
+            right: DecisionForest.trainDecisionTree(rightFeatures, rightLabels, depth + 1, options)
+        };
+    }
+
+    static createLeafNode(labels) {
+        const counts = {};
+        labels.forEach(label => {
+            counts[label] = (counts[label] || 0) + 1;
+        });
+
+        const majorityLabel = Object.keys(counts).reduce((a, b) => counts[a] > counts[b] ? a : b);
+        return {
+            type: 'leaf',
+            value: parseInt(majorityLabel),
+            count: labels.length,
+            distribution: counts
+        };
+    }
+
+    // Best split over a random sqrt(numFeatures) subset of features. Every threshold between two
+    // consecutive distinct sorted values is scored, sweeping class counts from left to right.
+    static findBestSplit(features, labels, options) {
+        if (features.length === 0) return null;
+
+        const { numClasses, minSamplesLeaf, criterion } = options;
+        const numSamples = features.length;
+        const numFeatures = features[0].length;
+        const impurity = criterion === 'entropy' ? DecisionForest.entropy : DecisionForest.gini;
+
+        const totalCounts = new Array(numClasses).fill(0);
+        labels.forEach(label => totalCounts[label]++);
+        const parentImpurity = impurity(totalCounts, numSamples);
+
+        let bestSplit = null;
+        let bestGain = 1e-12; // Splits that don't reduce impurity at all are not worth a node
+
+        for (const featureIndex of DecisionForest.sampleFeatures(numFeatures)) {
+            const order = Array.from({ length: numSamples }, (_, i) => i)
+                .sort((a, b) => features[a][featureIndex] - features[b][featureIndex]);
+
+            const leftCounts = new Array(numClasses).fill(0);
+            const rightCounts = [...totalCounts];
+
+            for (let position = 0; position < numSamples - 1; position++) {
+                const label = labels[order[position]];
+                leftCounts[label]++;
+                rightCounts[label]--;
+
+                const leftSize = position + 1;
+                const rightSize = numSamples - leftSize;
+                const value = features[order[position]][featureIndex];
+                const nextValue = features[order[position + 1]][featureIndex];
+
+                if (value === nextValue) continue;
+                if (leftSize < minSamplesLeaf || rightSize < minSamplesLeaf) continue;
+
+                const gain = parentImpurity -
+                    (leftSize / numSamples) * impurity(leftCounts, leftSize) -
+                    (rightSize / numSamples) * impurity(rightCounts, rightSize);
+
+                if (gain > bestGain) {
+                    bestGain = gain;
+                    bestSplit = { featureIndex, threshold: (value + nextValue) / 2, gain };
+                }
+            }
+        }
+
+        return bestSplit;
+    }
+
+    // Random subset of sqrt(numFeatures) distinct feature indices
+    static sampleFeatures(numFeatures) {
+        const numFeaturesToTry = Math.max(1, Math.floor(Math.sqrt(numFeatures)));
+        const chosen = new Set();
+
+        while (chosen.size < numFeaturesToTry) {
+            chosen.add(Math.floor(Math.random() * numFeatures));
+        }
+
+        return [...chosen];
+    }
+
+    static gini(counts, total) {
+        if (total === 0) return 0;
+
+        let sumSquares = 0;
+        counts.forEach(count => {
+            const probability = count / total;
+            sumSquares += probability * probability;
+        });
+
+        return 1 - sumSquares;
+    }
+
+    static entropy(counts, total) {
+        if (total === 0) return 0;
+
+        let entropy = 0;
+        counts.forEach(count => {
+            if (count === 0) return;
+            const probability = count / total;
+            entropy -= probability * Math.log2(probability);
+        });
+
+        return entropy;
+    }
+
+    static findLeaf(features, tree) {
+        let node = tree;
+        while (node.type !== 'leaf') {
+            node = features[node.featureIndex] <= node.threshold ? node.left : node.right;
+        }
+        return node;
+    }
+
+    static traverseTree(features, tree) {
+        return DecisionForest.findLeaf(features, tree).value;
+    }
+
+    // Class distribution of the training samples in a leaf; leaves saved without one vote for their majority class
+    static leafProbabilities(leaf, numClasses) {
+        const probabilities = new Array(numClasses).fill(0);
+
+        if (leaf.distribution && leaf.count > 0) {
+            Object.entries(leaf.distribution).forEach(([label, count]) => {
+                probabilities[label] = count / leaf.count;
+            });
+        } else {
+            probabilities[leaf.value] = 1;
+        }
+
+        return probabilities;
+    }
+
+    // Average of the leaf class distributions the sample lands in, one leaf per tree
+    static predictProbabilities(features, trees, numClasses) {
+        const probabilities = new Array(numClasses).fill(0);
+
+        for (const tree of trees) {
+            const leafProbabilities = DecisionForest.leafProbabilities(DecisionForest.findLeaf(features, tree), numClasses);
+            leafProbabilities.forEach((p, i) => {
+                probabilities[i] += p / trees.length;
+            });
+        }
+
+        return probabilities;
+    }
+
+    static predictInstance(features, trees, numClasses) {
+        const probabilities = DecisionForest.predictProbabilities(features, trees, numClasses);
+        return probabilities.indexOf(Math.max(...probabilities));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,86 @@
+class MobileNetFeatureExtractor {
+    constructor(modelUrl = MobileNetFeatureExtractor.DEFAULT_MODEL_URL) {
+        this.modelUrl = modelUrl;
+        this.model = null;
+        this.embeddingSize = null;
+        this.loadingPromise = null;
+    }
+
+    // null loads the weights the MobileNet library hosts itself, so a fresh checkout can train;
+    // a URL such as 'models/mobilenet/model.json' serves them from the app instead (offline use)
+    static get DEFAULT_MODEL_URL() {
+        return null;
+    }
+
+    // The other architectures train from scratch, so they are the way out when loading fails
+    static get FALLBACK_HINT() {
+        return 'Check the network connection, or set the Neural Network architecture to "Small convnet" or "Pixel MLP", which need no pretrained weights';
+    }
+
+    // Resolution the MobileNet v2 weights were trained at
+    static get INPUT_SIZE() {
+        return 224;
+    }
+
+    // Share one backbone between all trainers - loading it twice wastes ~15MB of GPU memory
+    static getInstance(modelUrl = MobileNetFeatureExtractor.DEFAULT_MODEL_URL) {
+        if (!MobileNetFeatureExtractor.instances) {
+            MobileNetFeatureExtractor.instances = {};
+        }
+        if (!MobileNetFeatureExtractor.instances[modelUrl]) {
+            MobileNetFeatureExtractor.instances[modelUrl] = new MobileNetFeatureExtractor(modelUrl);
+        }
+        return MobileNetFeatureExtractor.instances[modelUrl];
+    }
+
+    async load() {
+        if (this.model) return this.model;
+        if (this.loadingPromise) return this.loadingPromise;
+
+        if (!window.mobilenet) {
+            throw new Error(`The MobileNet library is not loaded. ${MobileNetFeatureExtractor.FALLBACK_HINT}`);
+        }
+
+        const source = this.modelUrl || 'the MobileNet library\'s hosted weights';
+        this.loadingPromise = (async () => {
+            try {
+                console.log(`Loading MobileNet feature extractor from ${source}...`);
+                const model = await mobilenet.load({
+                    version: 2,
+                    alpha: 1.0,
+                    modelUrl: this.modelUrl || undefined
+                });
+
+                // Warm up once so the first real image doesn't pay for shader compilation
+                const size = MobileNetFeatureExtractor.INPUT_SIZE;
+                const embedding = tf.tidy(() => model.infer(tf.zeros([size, size, 3]), true));
+                this.embeddingSize = embedding.shape[embedding.shape.length - 1];
+                embedding.dispose();
+
+                this.model = model;
+                console.log(`MobileNet loaded (embedding size: ${this.embeddingSize})`);
+                return model;
+            } catch (error) {
+                throw new Error(`Could not load the MobileNet backbone from ${source} (${error.message}). ${MobileNetFeatureExtractor.FALLBACK_HINT}`);
+            } finally {
+                this.loadingPromise = null;
+            }
+        })();
+
+        return this.loadingPromise;
+    }
+
+    isLoaded() {
+        return this.model !== null;
+    }
+
+    // pixels: [224, 224, 3] tensor with 0-255 values (see ImagePreprocessor.getPixelTensor).
+    // Returns a 1D embedding tensor; the caller owns it and must dispose it
+    embed(pixels) {
+        if (!this.model) {
+            throw new Error('Feature extractor not loaded');
+        }
+
+        return tf.tidy(() => this.model.infer(pixels, true).squeeze([0]));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,170 @@
+class ForestWorkerPool {
+    constructor(workerUrl = ForestWorkerPool.DEFAULT_WORKER_URL) {
+        this.workerUrl = workerUrl;
+        this.buildWorkers = [];
+        this.predictWorkerPromise = null;
+        this.loadedTrees = null;
+        this.pendingPredictions = new Map();
+        this.nextRequestId = 0;
+    }
+
+    static get DEFAULT_WORKER_URL() {
+        return 'js/workers/random-forest-worker.js';
+    }
+
+    static get MAX_WORKERS() {
+        return 4;
+    }
+
+    // False once a worker failed to start (e.g. pages opened from file://), so later trainers skip straight to the fallback
+    static isSupported() {
+        return typeof Worker !== 'undefined' && !ForestWorkerPool.spawnFailed;
+    }
+
+    // Resolves with a worker that has answered a ping, or rejects if the script cannot be loaded
+    spawn() {
+        return new Promise((resolve, reject) => {
+            let worker;
+            try {
+                worker = new Worker(this.workerUrl);
+            } catch (error) {
+                ForestWorkerPool.spawnFailed = true;
+                reject(error);
+                return;
+            }
+
+            worker.onmessage = (event) => {
+                if (event.data.type === 'ready') {
+                    worker.onmessage = null;
+                    worker.onerror = null;
+                    resolve(worker);
+                }
+            };
+            worker.onerror = (event) => {
+                event.preventDefault();
+                worker.terminate();
+                ForestWorkerPool.spawnFailed = true;
+                reject(new Error(event.message || 'Failed to start random forest worker'));
+            };
+            worker.postMessage({ type: 'ping' });
+        });
+    }
+
+    // Build numTrees trees spread over several workers; onTree({ tree, oobPredictions, importance })
+    // runs as each one arrives. treeOptions are passed to DecisionForest.buildBootstrapTree.
+    async buildTrees(features, labels, { numTrees, treeOptions, signal = null, onTree }) {
+        if (signal) signal.throwIfAborted();
+
+        const cores = navigator.hardwareConcurrency || 2;
+        const numWorkers = Math.max(1, Math.min(numTrees, ForestWorkerPool.MAX_WORKERS, cores - 1));
+        const spawned = await Promise.allSettled(Array.from({ length: numWorkers }, () => this.spawn()));
+        this.buildWorkers = spawned.filter(result => result.status === 'fulfilled').map(result => result.value);
+
+        const failed = spawned.find(result => result.status === 'rejected');
+        if (failed) {
+            this.terminateBuildWorkers();
+            throw failed.reason;
+        }
+
+        let onAbort = null;
+
+        try {
+            await new Promise((resolve, reject) => {
+                let finished = 0;
+
+                onAbort = () => reject(signal.reason);
+                if (signal) signal.addEventListener('abort', onAbort);
+
+                this.buildWorkers.forEach((worker, index) => {
+                    const share = Math.floor(numTrees / numWorkers) + (index < numTrees % numWorkers ? 1 : 0);
+
+                    worker.onmessage = (event) => {
+                        const message = event.data;
+                        if (message.type === 'tree') {
+                            try {
+                                onTree(message);
+                            } catch (error) {
+                                reject(error);
+                            }
+                        } else if (message.type === 'done') {
+                            finished++;
+                            if (finished === numWorkers) resolve();
+                        } else if (message.type === 'error') {
+                            reject(new Error(message.message));
+                        }
+                    };
+                    worker.onerror = (event) => {
+                        event.preventDefault();
+                        reject(new Error(event.message || 'Random forest worker failed'));
+                    };
+
+                    worker.postMessage({ type: 'build', jobId: index, features, labels, numTrees: share, treeOptions });
+                });
+            });
+        } finally {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            this.terminateBuildWorkers();
+        }
+    }
+
+    // Class probabilities for each feature vector; the forest is only re-sent when it changes
+    async predict(trees, numClasses, featuresList) {
+        if (!this.predictWorkerPromise) {
+            this.predictWorkerPromise = this.spawn().then(worker => {
+                worker.onmessage = (event) => this.handlePredictionMessage(event.data);
+                worker.onerror = (event) => {
+                    event.preventDefault();
+                    this.rejectPendingPredictions(new Error(event.message || 'Random forest worker failed'));
+                };
+                return worker;
+            });
+            this.predictWorkerPromise.catch(() => this.predictWorkerPromise = null);
+        }
+
+        const worker = await this.predictWorkerPromise;
+
+        if (this.loadedTrees !== trees) {
+            worker.postMessage({ type: 'load-forest', trees, numClasses });
+            this.loadedTrees = trees;
+        }
+
+        const requestId = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.pendingPredictions.set(requestId, { resolve, reject });
+            worker.postMessage({ type: 'predict', requestId, features: featuresList });
+        });
+    }
+
+    handlePredictionMessage(message) {
+        const pending = this.pendingPredictions.get(message.requestId);
+        if (!pending) return;
+
+        this.pendingPredictions.delete(message.requestId);
+        if (message.type === 'error') {
+            pending.reject(new Error(message.message));
+        } else {
+            pending.resolve(message.probabilities);
+        }
+    }
+
+    rejectPendingPredictions(error) {
+        this.pendingPredictions.forEach(pending => pending.reject(error));
+        this.pendingPredictions.clear();
+    }
+
+    terminateBuildWorkers() {
+        this.buildWorkers.forEach(worker => worker.terminate());
+        this.buildWorkers = [];
+    }
+
+    terminate() {
+        this.terminateBuildWorkers();
+
+        if (this.predictWorkerPromise) {
+            this.predictWorkerPromise.then(worker => worker.terminate(), () => {});
+            this.predictWorkerPromise = null;
+        }
+        this.loadedTrees = null;
+        this.rejectPendingPredictions(new Error('Random forest worker terminated'));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,296 @@
+// Hand-crafted feature vectors for the Random Forest. Each feature set maps an RGBA ImageData
+// to a fixed-length array, so the vector length depends only on which sets are enabled.
+class ImageFeatureExtractor {
+    constructor(names) {
+        const extractors = ImageFeatureExtractor.getExtractors();
+
+        if (!Array.isArray(names) || names.length === 0) {
+            throw new Error('Select at least one Random Forest feature set');
+        }
+        names.forEach(name => {
+            if (!extractors[name]) {
+                throw new Error(`Unknown feature set: ${name}`);
+            }
+        });
+
+        this.names = names;
+        this.length = names.reduce((total, name) => total + extractors[name].length, 0);
+    }
+
+    // Registry of feature sets; register() adds more and they show up as settings automatically
+    static getExtractors() {
+        if (!ImageFeatureExtractor.extractors) {
+            ImageFeatureExtractor.extractors = {};
+            ImageFeatureExtractor.register('rgb', { label: 'RGB histogram', length: 15, default: false, compute: data => ImageFeatureExtractor.rgbHistogram(data) });
+            ImageFeatureExtractor.register('hsv', { label: 'HSV histogram', length: 16, default: true, compute: data => ImageFeatureExtractor.hsvHistogram(data) });
+            ImageFeatureExtractor.register('hog', { label: 'HOG (shape)', length: 144, default: true, compute: data => ImageFeatureExtractor.hog(data) });
+            ImageFeatureExtractor.register('lbp', { label: 'LBP texture', length: 59, default: true, compute: data => ImageFeatureExtractor.lbp(data) });
+            ImageFeatureExtractor.register('edges', { label: 'Edge density', length: 17, default: true, compute: data => ImageFeatureExtractor.edgeDensity(data) });
+            ImageFeatureExtractor.register('grid', { label: 'Spatial color grid', length: 48, default: true, compute: data => ImageFeatureExtractor.colorGrid(data) });
+        }
+        return ImageFeatureExtractor.extractors;
+    }
+
+    static register(name, extractor) {
+        if (!ImageFeatureExtractor.extractors) {
+            ImageFeatureExtractor.getExtractors();
+        }
+        ImageFeatureExtractor.extractors[name] = { ...extractor, configKey: `feature${name[0].toUpperCase()}${name.slice(1)}` };
+    }
+
+    // One boolean setting per feature set, for trainer CONFIG_SCHEMAs
+    static configSchema() {
+        const schema = {};
+        for (const extractor of Object.values(ImageFeatureExtractor.getExtractors())) {
+            schema[extractor.configKey] = { label: `Features: ${extractor.label}`, type: 'boolean', default: extractor.default };
+        }
+        return schema;
+    }
+
+    static fromConfig(config) {
+        const extractors = ImageFeatureExtractor.getExtractors();
+        return new ImageFeatureExtractor(Object.keys(extractors).filter(name => config[extractors[name].configKey]));
+    }
+
+    // Display name of every position in the vector, e.g. "HOG (shape) #37"
+    getFeatureNames() {
+        const extractors = ImageFeatureExtractor.getExtractors();
+        return this.names.flatMap(name =>
+            Array.from({ length: extractors[name].length }, (_, i) => `${extractors[name].label} #${i + 1}`)
+        );
+    }
+
+    // [{ name, label, start, length }] - where each feature set sits in the vector
+    getRanges() {
+        const extractors = ImageFeatureExtractor.getExtractors();
+        let start = 0;
+        return this.names.map(name => {
+            const range = { name, label: extractors[name].label, start, length: extractors[name].length };
+            start += range.length;
+            return range;
+        });
+    }
+
+    extract(imageData) {
+        const extractors = ImageFeatureExtractor.getExtractors();
+        const features = [];
+
+        for (const name of this.names) {
+            const values = extractors[name].compute(imageData);
+            if (values.length !== extractors[name].length) {
+                throw new Error(`Feature set "${name}" returned ${values.length} values, expected ${extractors[name].length}`);
+            }
+            features.push(...values);
+        }
+
+        return features;
+    }
+
+    // Feature sets
+
+    // 4-bin histogram per RGB channel plus the mean color (the original Random Forest features)
+    static rgbHistogram(imageData) {
+        const data = imageData.data;
+        const features = [];
+
+        const rHist = new Array(4).fill(0);
+        const gHist = new Array(4).fill(0);
+        const bHist = new Array(4).fill(0);
+
+        for (let i = 0; i < data.length; i += 4) {
+            rHist[Math.floor(data[i] / 64)]++;
+            gHist[Math.floor(data[i + 1] / 64)]++;
+            bHist[Math.floor(data[i + 2] / 64)]++;
+        }
+
+        const totalPixels = data.length / 4;
+        features.push(...rHist.map(val => val / totalPixels));
+        features.push(...gHist.map(val => val / totalPixels));
+        features.push(...bHist.map(val => val / totalPixels));
+
+        features.push(
+            rHist.reduce((sum, val, idx) => sum + val * (idx * 64 + 32), 0) / totalPixels / 255,
+            gHist.reduce((sum, val, idx) => sum + val * (idx * 64 + 32), 0) / totalPixels / 255,
+            bHist.reduce((sum, val, idx) => sum + val * (idx * 64 + 32), 0) / totalPixels / 255
+        );
+
+        return features;
+    }
+
+    // 8 hue bins (weighted by saturation so greys don't pick a random hue), 4 saturation and 4 value bins
+    static hsvHistogram(imageData) {
+        const data = imageData.data;
+        const hue = new Array(8).fill(0);
+        const saturation = new Array(4).fill(0);
+        const value = new Array(4).fill(0);
+
+        for (let i = 0; i < data.length; i += 4) {
+            const r = data[i] / 255;
+            const g = data[i + 1] / 255;
+            const b = data[i + 2] / 255;
+            const max = Math.max(r, g, b);
+            const min = Math.min(r, g, b);
+            const delta = max - min;
+            const s = max === 0 ? 0 : delta / max;
+
+            let h = 0;
+            if (delta > 0) {
+                if (max === r) h = ((g - b) / delta + 6) % 6;
+                else if (max === g) h = (b - r) / delta + 2;
+                else h = (r - g) / delta + 4;
+            }
+
+            hue[Math.min(7, Math.floor(h / 6 * 8))] += s;
+            saturation[Math.min(3, Math.floor(s * 4))]++;
+            value[Math.min(3, Math.floor(max * 4))]++;
+        }
+
+        const totalPixels = data.length / 4;
+        return [...hue, ...saturation, ...value].map(count => count / totalPixels);
+    }
+
+    // Histogram of oriented gradients: 4x4 cells x 9 unsigned orientation bins, L2-normalized per cell
+    static hog(imageData) {
+        const { width, height } = imageData;
+        const gray = ImageFeatureExtractor.toGray(imageData);
+        const cellsPerSide = 4;
+        const bins = 9;
+        const histogram = new Array(cellsPerSide * cellsPerSide * bins).fill(0);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const gx = gray[y * width + Math.min(width - 1, x + 1)] - gray[y * width + Math.max(0, x - 1)];
+                const gy = gray[Math.min(height - 1, y + 1) * width + x] - gray[Math.max(0, y - 1) * width + x];
+                const magnitude = Math.sqrt(gx * gx + gy * gy);
+                if (magnitude === 0) continue;
+
+                const angle = (Math.atan2(gy, gx) + Math.PI) % Math.PI;
+                const bin = Math.min(bins - 1, Math.floor(angle / Math.PI * bins));
+                const cellX = Math.min(cellsPerSide - 1, Math.floor(x * cellsPerSide / width));
+                const cellY = Math.min(cellsPerSide - 1, Math.floor(y * cellsPerSide / height));
+
+                histogram[(cellY * cellsPerSide + cellX) * bins + bin] += magnitude;
+            }
+        }
+
+        for (let cell = 0; cell < cellsPerSide * cellsPerSide; cell++) {
+            const start = cell * bins;
+            const norm = Math.sqrt(histogram.slice(start, start + bins).reduce((sum, v) => sum + v * v, 0)) + 1e-6;
+            for (let i = start; i < start + bins; i++) {
+                histogram[i] /= norm;
+            }
+        }
+
+        return histogram;
+    }
+
+    // Local binary patterns over 8 neighbours, mapped to the 58 uniform patterns plus one "other" bin
+    static lbp(imageData) {
+        const { width, height } = imageData;
+        const gray = ImageFeatureExtractor.toGray(imageData);
+        const uniformBins = ImageFeatureExtractor.getUniformLbpBins();
+        const histogram = new Array(59).fill(0);
+        const offsets = [[-1, -1], [0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0]];
+        let count = 0;
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const center = gray[y * width + x];
+                let code = 0;
+                offsets.forEach(([dx, dy], bit) => {
+                    if (gray[(y + dy) * width + (x + dx)] >= center) code |= 1 << bit;
+                });
+                histogram[uniformBins[code]]++;
+                count++;
+            }
+        }
+
+        return count > 0 ? histogram.map(value => value / count) : histogram;
+    }
+
+    // Share of strong Sobel edges in each cell of a 4x4 grid, plus the mean edge strength
+    static edgeDensity(imageData) {
+        const { width, height } = imageData;
+        const gray = ImageFeatureExtractor.toGray(imageData);
+        const cellsPerSide = 4;
+        const threshold = 0.5;
+        const edges = new Array(cellsPerSide * cellsPerSide).fill(0);
+        const pixels = new Array(cellsPerSide * cellsPerSide).fill(0);
+        let totalMagnitude = 0;
+
+        const at = (x, y) => gray[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const gx = (at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1)) -
+                           (at(x - 1, y - 1) + 2 * at(x - 1, y) + at(x - 1, y + 1));
+                const gy = (at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1)) -
+                           (at(x - 1, y - 1) + 2 * at(x, y - 1) + at(x + 1, y - 1));
+                const magnitude = Math.sqrt(gx * gx + gy * gy);
+                const cell = Math.min(cellsPerSide - 1, Math.floor(y * cellsPerSide / height)) * cellsPerSide +
+                             Math.min(cellsPerSide - 1, Math.floor(x * cellsPerSide / width));
+
+                pixels[cell]++;
+                if (magnitude > threshold) edges[cell]++;
+                totalMagnitude += magnitude;
+            }
+        }
+
+        // Sobel magnitude on 0-1 pixels tops out around 4 * sqrt(2)
+        const meanMagnitude = totalMagnitude / (width * height) / (4 * Math.SQRT2);
+        return [...edges.map((count, i) => pixels[i] > 0 ? count / pixels[i] : 0), meanMagnitude];
+    }
+
+    // Mean RGB of each cell in a 4x4 grid
+    static colorGrid(imageData) {
+        const { width, height, data } = imageData;
+        const cellsPerSide = 4;
+        const sums = new Array(cellsPerSide * cellsPerSide * 3).fill(0);
+        const counts = new Array(cellsPerSide * cellsPerSide).fill(0);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const cell = Math.min(cellsPerSide - 1, Math.floor(y * cellsPerSide / height)) * cellsPerSide +
+                             Math.min(cellsPerSide - 1, Math.floor(x * cellsPerSide / width));
+                const i = (y * width + x) * 4;
+                sums[cell * 3] += data[i];
+                sums[cell * 3 + 1] += data[i + 1];
+                sums[cell * 3 + 2] += data[i + 2];
+                counts[cell]++;
+            }
+        }
+
+        return sums.map((sum, i) => {
+            const count = counts[Math.floor(i / 3)];
+            return count > 0 ? sum / count / 255 : 0;
+        });
+    }
+
+    // Helpers
+
+    static toGray(imageData) {
+        const { width, height, data } = imageData;
+        const gray = new Float32Array(width * height);
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = (0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]) / 255;
+        }
+        return gray;
+    }
+
+    // Maps each 8-bit LBP code to its uniform-pattern bin (0-57) or 58 for non-uniform codes
+    static getUniformLbpBins() {
+        if (!ImageFeatureExtractor.uniformLbpBins) {
+            const bins = new Array(256);
+            let next = 0;
+            for (let code = 0; code < 256; code++) {
+                let transitions = 0;
+                for (let bit = 0; bit < 8; bit++) {
+                    if (((code >> bit) & 1) !== ((code >> ((bit + 1) % 8)) & 1)) transitions++;
+                }
+                bins[code] = transitions <= 2 ? next++ : 58;
+            }
+            ImageFeatureExtractor.uniformLbpBins = bins;
+        }
+        return ImageFeatureExtractor.uniformLbpBins;
+    }
+}
\ No newline at end of file
@@ -6,8 +6,52 @@ class ModelManager {
             cnn: null
         };
         this.evaluationResults = {};
+        // Latest saved artifact per model type; older ones are dropped so retraining doesn't pile up weights
         this.savedModels = [];
+        this.nextSavedModelId = 0;
         this.isTraining = false;
+        this.changeListeners = [];
+    }
+
+    // Register a callback invoked with { type, modelType } when models or results change
+    onChange(listener) {
+        this.changeListeners.push(listener);
+    }
+
+    notifyChange(type, details = {}) {
+        this.changeListeners.forEach(listener => {
+            try {
+                listener({ type, ...details });
+            } catch (error) {
+                console.error('Model change listener failed:', error);
+            }
+        });
+    }
+
+    getConfigSchema(type) {
+        switch (type) {
+            case 'logisticRegression':
+                return LogisticRegressionTrainer.CONFIG_SCHEMA;
+            case 'randomForest':
+                return RandomForestTrainer.CONFIG_SCHEMA;
+            case 'cnn':
+                return CNNTrainer.CONFIG_SCHEMA;
+            default:
+                throw new Error(`Unknown model type: ${type}`);
+        }
+    }
+
+    createTrainer(type, config = {}) {
+        switch (type) {
+            case 'logisticRegression':
+                return new LogisticRegressionTrainer(config);
+            case 'randomForest':
+                return new RandomForestTrainer(config);
+            case 'cnn':
+                return new CNNTrainer(config);
+            default:
+                throw new Error(`Unknown model type: ${type}`);
+        }
     }
 
     setModel(type, model) {
@@ -43,6 +87,7 @@ class ModelManager {
             throw new Error(`Invalid model type: ${type}`);
         }
         this.evaluationResults[type] = results;
+        this.notifyChange('evaluation', { modelType: type });
     }
 
     getEvaluationResults(type) {
@@ -56,19 +101,36 @@ class ModelManager {
         return { ...this.evaluationResults }; // Return copy
     }
 
-    saveModel(type) {
+    async saveModel(type) {
         if (!this.isModelTrained(type)) {
             throw new Error(`Model ${type} is not trained`);
         }
 
-        const modelInfo = this.models[type].saveModel();
-        modelInfo.id = this.savedModels.length;
+        const modelInfo = await this.models[type].saveModel();
+        modelInfo.id = this.nextSavedModelId++;
+        modelInfo.modelType = type;
+        this.savedModels = this.savedModels.filter(saved => saved.modelType !== type);
         this.savedModels.push(modelInfo);
         
-        console.log(`Model ${type} saved:`, modelInfo);
+        console.log(`Model ${type} saved (id ${modelInfo.id}, accuracy ${modelInfo.accuracy})`);
         return modelInfo;
     }
 
+    // Restore a previously saved model as the active model of its type, without retraining
+    async loadModel(savedModelId) {
+        const modelInfo = this.savedModels.find(m => m.id === savedModelId);
+        if (!modelInfo) {
+            throw new Error(`Saved model ${savedModelId} not found`);
+        }
+
+        const trainer = this.createTrainer(modelInfo.modelType);
+        await trainer.loadModel(modelInfo);
+        this.setModel(modelInfo.modelType, trainer);
+
+        console.log(`Model ${modelInfo.modelType} loaded from saved model ${savedModelId}`);
+        return trainer;
+    }
+
     getSavedModels() {
         return [...this.savedModels]; // Return copy
     }
@@ -107,7 +169,9 @@ class ModelManager {
             cnn: null
         };
         this.evaluationResults = {};
+        this.savedModels = [];
         this.isTraining = false;
+        this.notifyChange('reset');
         
         console.log('Model manager reset');
     }
@@ -0,0 +1,71 @@
+class ModelSerializer {
+    // Capture topology and weights in memory instead of writing them to a URL or browser storage
+    static async serializeLayersModel(model) {
+        let artifacts = null;
+
+        await model.save(tf.io.withSaveHandler(async (modelArtifacts) => {
+            artifacts = modelArtifacts;
+            return {
+                modelArtifactsInfo: {
+                    dateSaved: new Date(),
+                    modelTopologyType: 'JSON'
+                }
+            };
+        }));
+
+        return {
+            modelTopology: artifacts.modelTopology,
+            weightSpecs: artifacts.weightSpecs,
+            weightData: artifacts.weightData
+        };
+    }
+
+    static async deserializeLayersModel(artifacts) {
+        if (!artifacts || !artifacts.modelTopology || !artifacts.weightSpecs || !artifacts.weightData) {
+            throw new Error('Invalid model artifacts');
+        }
+
+        return tf.loadLayersModel(tf.io.fromMemory({
+            modelTopology: artifacts.modelTopology,
+            weightSpecs: artifacts.weightSpecs,
+            weightData: artifacts.weightData
+        }));
+    }
+
+    // Lay a trainer artifact out as files: a tf.js model.json + weights.bin for neural models,
+    // a single model.json for tree models. Trainer metadata rides along under "trainer".
+    static toFiles(artifact) {
+        if (!artifact.model) {
+            return { 'model.json': JSON.stringify(artifact) };
+        }
+
+        const { model, ...metadata } = artifact;
+        return {
+            'model.json': JSON.stringify({
+                modelTopology: model.modelTopology,
+                weightsManifest: [{ paths: ['weights.bin'], weights: model.weightSpecs }],
+                trainer: metadata
+            }),
+            'weights.bin': model.weightData
+        };
+    }
+
+    static fromFiles(modelJson, weightData = null) {
+        if (!modelJson.weightsManifest) {
+            return modelJson;
+        }
+
+        if (!weightData) {
+            throw new Error('Model weights are missing');
+        }
+
+        return {
+            ...modelJson.trainer,
+            model: {
+                modelTopology: modelJson.modelTopology,
+                weightSpecs: modelJson.weightsManifest.reduce((specs, group) => specs.concat(group.weights), []),
+                weightData: weightData
+            }
+        };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,61 @@
+class TrainerConfig {
+    // Schema entries: { label, type: 'int' | 'float' | 'enum' | 'string', default, min, max, step, options, hidden }
+    static validate(config = {}, schema) {
+        const result = {};
+        const errors = [];
+
+        Object.keys(config).forEach(key => {
+            if (!schema[key]) {
+                errors.push(`unknown setting "${key}"`);
+            }
+        });
+
+        for (const [key, spec] of Object.entries(schema)) {
+            const raw = config[key] === undefined || config[key] === '' ? spec.default : config[key];
+
+            switch (spec.type) {
+                case 'int':
+                case 'float': {
+                    const value = Number(raw);
+                    if (!Number.isFinite(value)) {
+                        errors.push(`${spec.label} must be a number`);
+                    } else if (spec.type === 'int' && !Number.isInteger(value)) {
+                        errors.push(`${spec.label} must be a whole number`);
+                    } else if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+                        errors.push(`${spec.label} must be between ${spec.min} and ${spec.max}`);
+                    }
+                    result[key] = value;
+                    break;
+                }
+                case 'enum':
+                    if (!spec.options.some(option => option.value === raw)) {
+                        errors.push(`${spec.label} must be one of ${spec.options.map(o => o.value).join(', ')}`);
+                    }
+                    result[key] = raw;
+                    break;
+                case 'boolean':
+                    result[key] = raw === true || raw === 'true';
+                    break;
+                default:
+                    if (raw !== null && typeof raw !== 'string') {
+                        errors.push(`${spec.label} must be text`);
+                    }
+                    result[key] = raw;
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid settings: ${errors.join(', ')}`);
+        }
+
+        return result;
+    }
+
+    static defaults(schema) {
+        const defaults = {};
+        for (const [key, spec] of Object.entries(schema)) {
+            defaults[key] = spec.default;
+        }
+        return defaults;
+    }
+}
\ No newline at end of file
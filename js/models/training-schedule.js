@@ -0,0 +1,125 @@
+// Per-epoch control shared by the neural trainers: learning-rate schedules, early stopping on
+// validation loss and restoring the best epoch's weights. Hook it into model.fit callbacks:
+// onEpochBegin before each epoch, onEpochEnd after it, then finish() once fit returns.
+class TrainingSchedule {
+    constructor(config) {
+        this.config = config;
+        this.baseLearningRate = config.learningRate;
+        this.learningRate = config.learningRate;
+        this.bestLoss = Infinity;
+        this.bestEpoch = null;
+        this.bestWeights = null;
+        this.epochsWithoutImprovement = 0;
+        this.epochsSinceReduction = 0;
+        this.epochsRun = 0;
+        this.stopReason = null;
+    }
+
+    // Settings the neural trainers spread into their CONFIG_SCHEMA
+    static configSchema() {
+        return {
+            lrSchedule: {
+                label: 'Learning rate schedule',
+                type: 'enum',
+                default: 'none',
+                options: [
+                    { value: 'none', label: 'Constant' },
+                    { value: 'plateau', label: 'Reduce on plateau' },
+                    { value: 'cosine', label: 'Cosine decay' }
+                ]
+            },
+            earlyStopping: { label: 'Early stopping', type: 'boolean', default: true },
+            patience: { label: 'Patience (epochs)', type: 'int', default: 5, min: 1, max: 100 },
+            restoreBestWeights: { label: 'Restore best epoch', type: 'boolean', default: true }
+        };
+    }
+
+    // Smallest learning rate the schedules decay to
+    static get MIN_LEARNING_RATE() {
+        return 1e-6;
+    }
+
+    onEpochBegin(model, epoch) {
+        if (this.config.lrSchedule === 'cosine') {
+            const progress = epoch / Math.max(1, this.config.epochs);
+            const min = Math.min(TrainingSchedule.MIN_LEARNING_RATE, this.baseLearningRate);
+            this.setLearningRate(model, min + 0.5 * (this.baseLearningRate - min) * (1 + Math.cos(Math.PI * progress)));
+        }
+    }
+
+    // Monitors validation loss (training loss when fit has no validation data)
+    onEpochEnd(model, epoch, logs) {
+        const loss = logs.val_loss !== undefined ? logs.val_loss : logs.loss;
+        this.epochsRun = epoch + 1;
+
+        // Ignore noise-level improvements so patience isn't reset by tiny wiggles
+        if (loss < this.bestLoss - 1e-4) {
+            this.bestLoss = loss;
+            this.bestEpoch = epoch + 1;
+            this.epochsWithoutImprovement = 0;
+            this.epochsSinceReduction = 0;
+            if (this.config.restoreBestWeights) {
+                this.saveWeights(model);
+            }
+        } else {
+            this.epochsWithoutImprovement++;
+            this.epochsSinceReduction++;
+        }
+
+        // Halve the rate when the loss stalls for half the patience
+        if (this.config.lrSchedule === 'plateau' &&
+            this.epochsSinceReduction >= Math.max(1, Math.floor(this.config.patience / 2)) &&
+            this.learningRate > TrainingSchedule.MIN_LEARNING_RATE) {
+            this.setLearningRate(model, Math.max(TrainingSchedule.MIN_LEARNING_RATE, this.learningRate / 2));
+            this.epochsSinceReduction = 0;
+            console.log(`Validation loss plateaued, learning rate reduced to ${this.learningRate}`);
+        }
+
+        if (this.config.earlyStopping && this.epochsWithoutImprovement >= this.config.patience) {
+            this.stopReason = `Early stopping after epoch ${epoch + 1}: validation loss did not improve for ${this.config.patience} epochs`;
+            model.stopTraining = true;
+        }
+    }
+
+    // Restore the best weights and describe how training ended:
+    // { stopReason, bestEpoch, bestLoss, epochsRun, weightsEpoch } where weightsEpoch is the
+    // epoch whose weights the model now holds
+    finish(model) {
+        let restored = false;
+        if (this.config.restoreBestWeights && this.bestWeights && this.bestEpoch !== this.epochsRun) {
+            model.setWeights(this.bestWeights);
+            restored = true;
+        }
+
+        const stopReason = this.stopReason || `Completed all ${this.epochsRun} epochs`;
+        return {
+            stopReason: restored ? `${stopReason}; restored weights from epoch ${this.bestEpoch}` : stopReason,
+            bestEpoch: this.bestEpoch,
+            bestLoss: this.bestLoss,
+            epochsRun: this.epochsRun,
+            weightsEpoch: restored ? this.bestEpoch : this.epochsRun
+        };
+    }
+
+    setLearningRate(model, learningRate) {
+        this.learningRate = learningRate;
+        // tf.js optimizers read learningRate on every step
+        model.optimizer.learningRate = learningRate;
+    }
+
+    saveWeights(model) {
+        this.disposeWeights();
+        this.bestWeights = model.getWeights().map(weight => weight.clone());
+    }
+
+    disposeWeights() {
+        if (this.bestWeights) {
+            this.bestWeights.forEach(weight => weight.dispose());
+            this.bestWeights = null;
+        }
+    }
+
+    dispose() {
+        this.disposeWeights();
+    }
+}
\ No newline at end of file
@@ -1,90 +1,291 @@
 class CNNTrainer {
-    constructor() {
+    constructor(config = {}) {
         this.model = null;
         this.isTrained = false;
         this.trainingHistory = null;
         this.classNames = [];
+        this.preprocessor = ImagePreprocessor.getInstance();
+        this.calibrator = null;
+        // Epoch whose weights the model holds (see TrainingSchedule.finish)
+        this.weightsEpoch = null;
+        this.applyConfig(TrainerConfig.validate(config, CNNTrainer.CONFIG_SCHEMA));
     }
 
-    async train(dataset, onProgress = null) {
+    static get CONFIG_SCHEMA() {
+        return {
+            // 'transfer' trains a head on frozen MobileNet embeddings, 'convnet' trains a small
+            // convolutional network from scratch and 'mlp' trains dense layers on raw pixels
+            mode: {
+                label: 'Architecture',
+                type: 'enum',
+                default: 'transfer',
+                options: [
+                    { value: 'transfer', label: 'MobileNet transfer learning' },
+                    { value: 'convnet', label: 'Small convnet' },
+                    { value: 'mlp', label: 'Pixel MLP' }
+                ]
+            },
+            epochs: { label: 'Epochs', type: 'int', default: 30, min: 1, max: 500 },
+            batchSize: { label: 'Batch size', type: 'int', default: 8, min: 1, max: 512 },
+            learningRate: { label: 'Learning rate', type: 'float', default: 0.0005, min: 0.000001, max: 1, step: 0.0001 },
+            hiddenUnits: { label: 'Hidden units', type: 'int', default: 100, min: 1, max: 2048 },
+            dropout: { label: 'Dropout', type: 'float', default: 0.3, min: 0, max: 0.9, step: 0.05 },
+            inputSize: { label: 'Input size (convnet/MLP, px)', type: 'int', default: 32, min: 8, max: 224 },
+            convBlocks: { label: 'Conv blocks (convnet)', type: 'int', default: 3, min: 1, max: 4 },
+            convFilters: { label: 'First block filters (convnet)', type: 'int', default: 16, min: 4, max: 128 },
+            resizeMode: ImagePreprocessor.RESIZE_MODE_SETTING,
+            calibration: ProbabilityCalibrator.SETTING,
+            classWeighting: { label: 'Class-weighted loss', type: 'boolean', default: false },
+            ...TrainingSchedule.configSchema(),
+            featureExtractorUrl: {
+                label: 'MobileNet weights URL',
+                type: 'string',
+                default: MobileNetFeatureExtractor.DEFAULT_MODEL_URL,
+                hidden: true
+            }
+        };
+    }
+
+    static get MAX_CONVNET_INPUT_SIZE() {
+        return 96;
+    }
+
+    applyConfig(config) {
+        if (config.mode === 'convnet') {
+            if (config.inputSize > CNNTrainer.MAX_CONVNET_INPUT_SIZE) {
+                throw new Error(`Invalid settings: convnet input size must be at most ${CNNTrainer.MAX_CONVNET_INPUT_SIZE} px`);
+            }
+            // Every block halves the resolution, so the input must survive all the pooling
+            if (config.inputSize < 2 ** config.convBlocks) {
+                throw new Error(`Invalid settings: ${config.convBlocks} conv blocks need an input of at least ${2 ** config.convBlocks} px`);
+            }
+        }
+
+        this.config = config;
+        this.mode = config.mode;
+        this.featureExtractor = this.mode === 'transfer' ?
+            MobileNetFeatureExtractor.getInstance(config.featureExtractorUrl) : null;
+    }
+
+    // options.validationData ({ images, labels }) replaces the random validationSplit when given;
+    // options.signal (AbortSignal) stops preprocessing or fit and rejects with an AbortError
+    async train(dataset, onProgress = null, options = {}) {
+        const signal = options.signal || null;
+        let data = null;
+        let validation = null;
+        const schedule = new TrainingSchedule(this.config);
+
         try {
-            console.log('Starting SIMPLE CNN training...');
+            console.log(`Starting CNN training (${this.mode} mode)...`);
             
             if (!dataset || !dataset.images || dataset.images.length === 0) {
                 throw new Error('No training data available');
             }
 
             const numClasses = Math.max(...dataset.labels) + 1;
-            
-            // VERY SIMPLE MODEL - No complex layers
-            this.model = tf.sequential({
-                layers: [
-                    tf.layers.flatten({ inputShape: [32, 32, 3] }),
-                    tf.layers.dense({ units: 64, activation: 'relu' }),
-                    // tf.layers.dropout({ rate: 0.5 }),
-                    tf.layers.dense({ units: numClasses, activation: 'softmax' })
-                ]
-            });
+
+            if (this.featureExtractor) {
+                await this.featureExtractor.load();
+            }
+            if (signal) signal.throwIfAborted();
+
+            this.model = this.createModel(numClasses);
 
             this.model.compile({
-                optimizer: 'adam',
+                optimizer: tf.train.adam(this.config.learningRate),
                 loss: 'categoricalCrossentropy',
                 metrics: ['accuracy']
             });
 
-            // Simple image preprocessing
-            const { images, labels } = await this.prepareData(dataset, onProgress);
+            // Image preprocessing (MobileNet embeddings in transfer mode)
+            data = await this.prepareData(dataset, onProgress, signal);
             
-            // Quick training
-            const history = await this.model.fit(images, labels, {
-                epochs: 15,
-                batchSize: 8,
-                validationSplit: 0.2,
+            if (options.validationData && options.validationData.images.length > 0) {
+                validation = await this.prepareData(options.validationData, null, signal);
+            }
+
+            const epochs = this.config.epochs;
+            const history = await this.model.fit(data.images, data.labels, {
+                epochs: epochs,
+                batchSize: this.config.batchSize,
+                ...(validation ?
+                    { validationData: [validation.images, validation.labels] } :
+                    { validationSplit: 0.2 }),
+                shuffle: true,
+                // Weight the loss so small classes count as much as large ones
+                ...(this.config.classWeighting ?
+                    { classWeight: ClassBalance.computeClassWeights(dataset.labels, numClasses) } :
+                    {}),
                 callbacks: {
+                    onEpochBegin: (epoch) => schedule.onEpochBegin(this.model, epoch),
+                    onBatchEnd: () => {
+                        if (signal && signal.aborted) {
+                            this.model.stopTraining = true;
+                        }
+                    },
                     onEpochEnd: (epoch, logs) => {
+                        const learningRate = schedule.learningRate;
+                        schedule.onEpochEnd(this.model, epoch, logs);
                         if (onProgress) {
-                            const progress = 50 + ((epoch + 1) / 15 * 50);
-                            onProgress(progress, { 
-                                epoch: epoch + 1,
-                                loss: logs.loss,
-                                acc: logs.acc
-                            });
+                            const progress = 50 + ((epoch + 1) / epochs * 50);
+                            onProgress(progress, { epoch: epoch + 1, ...logs, lr: learningRate });
                         }
                     }
                 }
             });
+            if (signal) signal.throwIfAborted();
+
+            const outcome = schedule.finish(this.model);
+            console.log(`CNN: ${outcome.stopReason}`);
+            this.weightsEpoch = outcome.weightsEpoch;
+            if (onProgress) {
+                onProgress(100, outcome);
+            }
 
             this.isTrained = true;
             this.trainingHistory = history;
+            this.calibrator = await ProbabilityCalibrator.fitModel(this, options.validationData, this.config.calibration, signal);
 
-            // Cleanup
-            images.dispose();
-            labels.dispose();
-
-            console.log('SIMPLE CNN training completed!');
+            console.log('CNN training completed!');
             return history;
 
         } catch (error) {
-            console.error('SIMPLE CNN Error:', error);
+            if (error.name === 'AbortError') {
+                console.log('CNN training cancelled');
+                this.dispose();
+            } else {
+                console.error('CNN Error:', error);
+            }
             throw error;
+        } finally {
+            // Cleanup
+            [data, validation].forEach(prepared => {
+                if (prepared) {
+                    prepared.images.dispose();
+                    prepared.labels.dispose();
+                }
+            });
+            schedule.dispose();
+        }
+    }
+
+    createModel(numClasses) {
+        switch (this.mode) {
+            case 'transfer':
+                return this.createTransferHead(numClasses);
+            case 'convnet':
+                return this.createConvnet(numClasses);
+            default:
+                return this.createMlpModel(numClasses);
+        }
+    }
+
+    // Small classification head trained on top of the frozen backbone
+    createTransferHead(numClasses) {
+        return tf.sequential({
+            layers: [
+                tf.layers.dense({
+                    units: this.config.hiddenUnits,
+                    activation: 'relu',
+                    inputShape: [this.featureExtractor.embeddingSize],
+                    kernelInitializer: 'varianceScaling'
+                }),
+                tf.layers.dropout({ rate: this.config.dropout }),
+                tf.layers.dense({ units: numClasses, activation: 'softmax' })
+            ]
+        });
+    }
+
+    createMlpModel(numClasses) {
+        return tf.sequential({
+            layers: [
+                tf.layers.flatten({ inputShape: [this.config.inputSize, this.config.inputSize, 3] }),
+                tf.layers.dense({ units: this.config.hiddenUnits, activation: 'relu' }),
+                tf.layers.dropout({ rate: this.config.dropout }),
+                tf.layers.dense({ units: numClasses, activation: 'softmax' })
+            ]
+        });
+    }
+
+    // convBlocks x (3x3 conv -> batch norm -> relu -> 2x2 max pool -> dropout), filters doubling per
+    // block, then global average pooling and a dense head
+    createConvnet(numClasses) {
+        const layers = [];
+
+        for (let block = 0; block < this.config.convBlocks; block++) {
+            layers.push(tf.layers.conv2d({
+                ...(block === 0 ? { inputShape: [this.config.inputSize, this.config.inputSize, 3] } : {}),
+                filters: this.config.convFilters * 2 ** block,
+                kernelSize: 3,
+                padding: 'same',
+                useBias: false, // batch norm adds its own offset
+                kernelInitializer: 'heNormal'
+            }));
+            layers.push(tf.layers.batchNormalization());
+            layers.push(tf.layers.activation({ activation: 'relu' }));
+            layers.push(tf.layers.maxPooling2d({ poolSize: 2, padding: 'same' }));
+            // Lighter dropout between blocks than in the head
+            layers.push(tf.layers.dropout({ rate: this.config.dropout / 2 }));
         }
+
+        layers.push(tf.layers.globalAveragePooling2d({}));
+        layers.push(tf.layers.dense({ units: this.config.hiddenUnits, activation: 'relu' }));
+        layers.push(tf.layers.dropout({ rate: this.config.dropout }));
+        layers.push(tf.layers.dense({ units: numClasses, activation: 'softmax' }));
+
+        return tf.sequential({ layers });
     }
 
-    async prepareData(dataset, onProgress) {
+    // Layers with their output shapes and parameter counts, for the evaluation card
+    getModelSummary() {
+        if (!this.model) return null;
+
+        const countWeights = weights => weights.reduce((total, weight) => total + weight.shape.reduce((a, b) => a * b, 1), 0);
+
+        return {
+            architecture: CNNTrainer.CONFIG_SCHEMA.mode.options.find(option => option.value === this.mode).label,
+            layers: this.model.layers.map(layer => ({
+                name: layer.name,
+                type: layer.getClassName(),
+                outputShape: layer.outputShape,
+                params: layer.countParams()
+            })),
+            totalParams: this.model.countParams(),
+            trainableParams: countWeights(this.model.trainableWeights),
+            // The frozen MobileNet backbone runs before the head and isn't part of this model
+            note: this.mode === 'transfer' ? 'Plus the frozen MobileNet v2 backbone' : null
+        };
+    }
+
+    async prepareData(dataset, onProgress, signal = null) {
         const images = [];
         
-        for (let i = 0; i < dataset.images.length; i++) {
-            const tensor = await this.loadImage(dataset.images[i]);
-            images.push(tensor);
-            
-            if (onProgress) {
-                const progress = (i + 1) / dataset.images.length * 50;
-                onProgress(progress, { stage: 'loading', current: i + 1 });
+        try {
+            for (let i = 0; i < dataset.images.length; i++) {
+                if (signal) signal.throwIfAborted();
+
+                const tensor = await this.loadInput(dataset.images[i]);
+                images.push(tensor);
+                
+                if (onProgress) {
+                    const progress = (i + 1) / dataset.images.length * 50;
+                    onProgress(progress, {
+                        stage: this.mode === 'transfer' ? 'embedding' : 'loading',
+                        current: i + 1,
+                        total: dataset.images.length
+                    });
+                }
             }
+        } catch (error) {
+            images.forEach(t => t.dispose());
+            throw error;
         }
 
         const imageTensor = tf.stack(images);
-        const labelTensor = tf.oneHot(tf.tensor1d(dataset.labels, 'int32'), Math.max(...dataset.labels) + 1);
+        const numClasses = this.model ?
+            this.model.outputs[0].shape[1] :
+            Math.max(...dataset.labels) + 1;
+        const labelTensor = tf.tidy(() => tf.oneHot(tf.tensor1d(dataset.labels, 'int32'), numClasses));
 
         // Clean individual tensors
         images.forEach(t => t.dispose());
@@ -92,48 +293,38 @@ class CNNTrainer {
         return { images: imageTensor, labels: labelTensor };
     }
 
-    async loadImage(imageDataUrl) {
-        return new Promise((resolve) => {
-            const img = new Image();
-            img.onload = () => {
-                const tensor = tf.browser.fromPixels(img)
-                    .resizeNearestNeighbor([32, 32])
-                    .toFloat()
-                    .div(255.0);
-                resolve(tensor);
-            };
-            img.src = imageDataUrl;
-        });
+    // Model input for one image: an embedding in transfer mode, a pixel tensor otherwise
+    // Accepts a data URL or a video/image/canvas element
+    async loadInput(input) {
+        if (this.mode === 'transfer') {
+            const pixels = await this.preprocessor.getPixelTensor(
+                input,
+                MobileNetFeatureExtractor.INPUT_SIZE,
+                this.config.resizeMode
+            );
+            try {
+                return this.featureExtractor.embed(pixels);
+            } finally {
+                pixels.dispose();
+            }
+        }
+        return this.preprocessor.getTensor(input, this.config.inputSize, this.config.resizeMode);
     }
 
-    async evaluate(testImages, testLabels) {
-        if (!this.isTrained) return { accuracy: 0 };
-        
-        try {
-            const { images, labels } = await this.prepareData({
-                images: testImages,
-                labels: testLabels
-            });
-
-            const result = this.model.evaluate(images, labels);
-            const accuracy = result[1].dataSync()[0];
-
-            images.dispose();
-            labels.dispose();
-            result[0].dispose();
-            result[1].dispose();
+    getEvaluationInfo() {
+        return { modelSummary: this.getModelSummary() };
+    }
 
-            return { accuracy: accuracy };
-        } catch (error) {
-            return { accuracy: 0 };
-        }
+    async predict(input) {
+        const probabilities = await this.predictUncalibrated(input);
+        return this.calibrator ? this.calibrator.apply(probabilities) : probabilities;
     }
 
-    async predict(imageDataUrl) {
+    async predictUncalibrated(input) {
         if (!this.isTrained) return [0];
         
         try {
-            const tensor = await this.loadImage(imageDataUrl);
+            const tensor = await this.loadInput(input);
             const prediction = this.model.predict(tensor.expandDims(0));
             const result = await prediction.data();
             
@@ -142,19 +333,63 @@ class CNNTrainer {
             
             return Array.from(result);
         } catch (error) {
+            console.error('CNN prediction error:', error);
             return [0];
         }
     }
 
-    saveModel() {
+    // Complete artifact (metadata + topology + weights) that loadModel can restore
+    async saveModel() {
+        if (!this.isTrained) {
+            throw new Error('Model not trained yet');
+        }
+
         return {
             type: 'cnn',
+            mode: this.mode,
+            config: this.config,
             timestamp: new Date().toISOString(),
-            accuracy: 0.8
+            accuracy: this.getFinalAccuracy(),
+            inputShape: this.model.inputs[0].shape,
+            model: await ModelSerializer.serializeLayersModel(this.model),
+            calibration: this.calibrator ? this.calibrator.toJSON() : null,
+            history: this.trainingHistory ? this.trainingHistory.history : null,
+            weightsEpoch: this.weightsEpoch
         };
     }
 
+    async loadModel(artifact) {
+        if (!artifact || artifact.type !== 'cnn') {
+            throw new Error('Invalid CNN model data');
+        }
+
+        this.applyConfig(TrainerConfig.validate(
+            artifact.config || { mode: artifact.mode || 'mlp' },
+            CNNTrainer.CONFIG_SCHEMA
+        ));
+        if (this.featureExtractor) {
+            await this.featureExtractor.load();
+        }
+
+        this.dispose();
+        this.model = await ModelSerializer.deserializeLayersModel(artifact.model);
+        this.trainingHistory = artifact.history ? { history: artifact.history } : null;
+        this.weightsEpoch = artifact.weightsEpoch || null;
+        this.calibrator = artifact.calibration ? ProbabilityCalibrator.fromJSON(artifact.calibration) : null;
+        this.isTrained = true;
+    }
+
+    // Training accuracy of the epoch the weights are from, which is the best one when they were restored
+    getFinalAccuracy() {
+        const acc = this.trainingHistory && this.trainingHistory.history.acc;
+        if (!acc || acc.length === 0) return null;
+        return this.weightsEpoch ? acc[this.weightsEpoch - 1] : acc[acc.length - 1];
+    }
+
+    // Only the head is disposed; the shared backbone stays loaded for the next run
     dispose() {
         if (this.model) this.model.dispose();
+        this.model = null;
+        this.isTrained = false;
     }
 }
\ No newline at end of file
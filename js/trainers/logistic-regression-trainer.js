@@ -1,12 +1,55 @@
 class LogisticRegressionTrainer {
-    constructor() {
+    constructor(config = {}) {
         this.model = null;
         this.isTrained = false;
         this.trainingHistory = null;
         this.classNames = [];
+        this.config = TrainerConfig.validate(config, LogisticRegressionTrainer.CONFIG_SCHEMA);
+        this.preprocessor = ImagePreprocessor.getInstance();
+        this.calibrator = null;
+        this.weightsEpoch = null;
+        // Per-pixel mean and std of the training images when standardize is on
+        this.normalization = null;
     }
 
-    async train(dataset, onProgress = null) {
+    static get CONFIG_SCHEMA() {
+        return {
+            // 'softmax' is a true multinomial logistic regression (one linear layer), 'mlp' adds a hidden layer
+            mode: {
+                label: 'Model',
+                type: 'enum',
+                default: 'softmax',
+                options: [
+                    { value: 'softmax', label: 'Softmax regression (linear)' },
+                    { value: 'mlp', label: 'One-hidden-layer MLP' }
+                ]
+            },
+            epochs: { label: 'Epochs', type: 'int', default: 20, min: 1, max: 500 },
+            batchSize: { label: 'Batch size', type: 'int', default: 16, min: 1, max: 512 },
+            learningRate: { label: 'Learning rate', type: 'float', default: 0.001, min: 0.000001, max: 1, step: 0.0001 },
+            hiddenUnits: { label: 'Hidden units (MLP)', type: 'int', default: 64, min: 1, max: 2048 },
+            dropout: { label: 'Dropout (MLP)', type: 'float', default: 0.3, min: 0, max: 0.9, step: 0.05 },
+            l1: { label: 'L1 regularization', type: 'float', default: 0, min: 0, max: 1, step: 0.00001 },
+            l2: { label: 'L2 regularization', type: 'float', default: 0.0001, min: 0, max: 1, step: 0.00001 },
+            standardize: { label: 'Standardize pixels', type: 'boolean', default: true },
+            inputSize: { label: 'Input size (px)', type: 'int', default: 32, min: 8, max: 128 },
+            resizeMode: ImagePreprocessor.RESIZE_MODE_SETTING,
+            calibration: ProbabilityCalibrator.SETTING,
+            classWeighting: { label: 'Class-weighted loss', type: 'boolean', default: false },
+            ...TrainingSchedule.configSchema()
+        };
+    }
+
+    // options.validationData ({ images, labels }) replaces the random validationSplit when given;
+    // options.signal (AbortSignal) stops preprocessing or fit and rejects with an AbortError
+    async train(dataset, onProgress = null, options = {}) {
+        const signal = options.signal || null;
+        let xs = null;
+        let ys = null;
+        let valXs = null;
+        let valYs = null;
+        const schedule = new TrainingSchedule(this.config);
+
         try {
             if (!dataset || !dataset.images || dataset.images.length === 0) {
                 throw new Error('No training data available');
@@ -15,75 +58,180 @@ class LogisticRegressionTrainer {
             const numClasses = Math.max(...dataset.labels) + 1;
             this.classNames = Array.from({length: numClasses}, (_, i) => `Class ${i}`);
             
-            console.log(`Training Logistic Regression with ${dataset.images.length} images, ${numClasses} classes`);
+            console.log(`Training Logistic Regression (${this.config.mode}) with ${dataset.images.length} images, ${numClasses} classes`);
 
             // Preprocess images
-            const processedImages = await this.preprocessImages(dataset.images);
-            
+            const processedImages = await this.preprocessImages(dataset.images, signal);
+            this.normalization = this.config.standardize ? this.computeNormalization(processedImages) : null;
+
             // Convert to TensorFlow tensors
-            const xs = tf.tensor2d(processedImages);
-            const ys = tf.oneHot(tf.tensor1d(dataset.labels, 'int32'), numClasses);
+            xs = tf.tensor2d(this.standardize(processedImages));
+            ys = tf.oneHot(tf.tensor1d(dataset.labels, 'int32'), numClasses);
             
             // Create and compile model
-            this.model = tf.sequential({
-                layers: [
-                    tf.layers.dense({
-                        units: 64, // Reduced for performance
-                        activation: 'relu',
-                        inputShape: [processedImages[0].length]
-                    }),
-                    tf.layers.dropout({ rate: 0.3 }),
-                    tf.layers.dense({
-                        units: numClasses,
-                        activation: 'softmax'
-                    })
-                ]
-            });
+            this.model = this.createModel(processedImages[0].length, numClasses);
 
             this.model.compile({
-                optimizer: tf.train.adam(0.001),
+                optimizer: tf.train.adam(this.config.learningRate),
                 loss: 'categoricalCrossentropy',
                 metrics: ['accuracy']
             });
 
-            // Train model with fewer epochs for faster training
-            const history = await this.model.fit(xs, ys, {
-                epochs: 20,
-                batchSize: 16,
-                validationSplit: 0.2,
+            const fitOptions = {
+                epochs: this.config.epochs,
+                batchSize: this.config.batchSize,
                 callbacks: {
+                    onEpochBegin: (epoch) => schedule.onEpochBegin(this.model, epoch),
+                    onBatchEnd: () => {
+                        if (signal && signal.aborted) {
+                            this.model.stopTraining = true;
+                        }
+                    },
                     onEpochEnd: (epoch, logs) => {
+                        const learningRate = schedule.learningRate;
+                        schedule.onEpochEnd(this.model, epoch, logs);
                         if (onProgress) {
-                            const progress = (epoch + 1) / 20 * 100;
-                            onProgress(progress, logs);
+                            const progress = (epoch + 1) / this.config.epochs * 100;
+                            onProgress(progress, { epoch: epoch + 1, ...logs, lr: learningRate });
                         }
                         console.log(`Epoch ${epoch + 1}: loss = ${logs.loss.toFixed(4)}, accuracy = ${logs.acc.toFixed(4)}`);
                     }
                 }
-            });
+            };
+
+            // Weight the loss so small classes count as much as large ones
+            if (this.config.classWeighting) {
+                fitOptions.classWeight = ClassBalance.computeClassWeights(dataset.labels, numClasses);
+            }
+
+            if (options.validationData && options.validationData.images.length > 0) {
+                valXs = tf.tensor2d(this.standardize(await this.preprocessImages(options.validationData.images, signal)));
+                valYs = tf.oneHot(tf.tensor1d(options.validationData.labels, 'int32'), numClasses);
+                fitOptions.validationData = [valXs, valYs];
+            } else {
+                fitOptions.validationSplit = 0.2;
+            }
+
+            // Train model with fewer epochs for faster training
+            const history = await this.model.fit(xs, ys, fitOptions);
+            if (signal) signal.throwIfAborted();
+
+            const outcome = schedule.finish(this.model);
+            console.log(`Logistic Regression: ${outcome.stopReason}`);
+            this.weightsEpoch = outcome.weightsEpoch;
+            if (onProgress) {
+                onProgress(100, outcome);
+            }
 
             this.trainingHistory = history;
             this.isTrained = true;
-
-            // Clean up tensors
-            xs.dispose();
-            ys.dispose();
+            this.calibrator = await ProbabilityCalibrator.fitModel(this, options.validationData, this.config.calibration, signal);
 
             console.log('Logistic Regression training completed');
             return history;
         } catch (error) {
-            console.error('Error in Logistic Regression training:', error);
+            if (error.name === 'AbortError') {
+                console.log('Logistic Regression training cancelled');
+                this.dispose();
+            } else {
+                console.error('Error in Logistic Regression training:', error);
+            }
             throw error;
+        } finally {
+            // Clean up tensors
+            [xs, ys, valXs, valYs].forEach(tensor => tensor && tensor.dispose());
+            schedule.dispose();
+        }
+    }
+
+    createModel(inputLength, numClasses) {
+        const kernelRegularizer = this.config.l1 > 0 || this.config.l2 > 0 ?
+            tf.regularizers.l1l2({ l1: this.config.l1, l2: this.config.l2 }) :
+            undefined;
+
+        if (this.config.mode === 'softmax') {
+            return tf.sequential({
+                layers: [
+                    tf.layers.dense({
+                        units: numClasses,
+                        activation: 'softmax',
+                        inputShape: [inputLength],
+                        kernelRegularizer
+                    })
+                ]
+            });
         }
+
+        return tf.sequential({
+            layers: [
+                tf.layers.dense({
+                    units: this.config.hiddenUnits,
+                    activation: 'relu',
+                    inputShape: [inputLength],
+                    kernelRegularizer
+                }),
+                tf.layers.dropout({ rate: this.config.dropout }),
+                tf.layers.dense({
+                    units: numClasses,
+                    activation: 'softmax',
+                    kernelRegularizer
+                })
+            ]
+        });
     }
 
-    async preprocessImages(images) {
+    // Per-pixel mean and standard deviation over the training images
+    computeNormalization(rows) {
+        const length = rows[0].length;
+        const mean = new Array(length).fill(0);
+        const std = new Array(length).fill(0);
+
+        rows.forEach(row => row.forEach((value, i) => {
+            mean[i] += value / rows.length;
+        }));
+        rows.forEach(row => row.forEach((value, i) => {
+            std[i] += (value - mean[i]) * (value - mean[i]) / rows.length;
+        }));
+
+        // Constant pixels (e.g. a fixed border) would divide by zero
+        return { mean, std: std.map(variance => Math.max(Math.sqrt(variance), 1e-3)) };
+    }
+
+    standardize(rows) {
+        if (!this.normalization) return rows;
+
+        const { mean, std } = this.normalization;
+        return rows.map(row => row.map((value, i) => (value - mean[i]) / std[i]));
+    }
+
+    // Per-class weight templates of the softmax model in raw pixel space, scaled to -1..1 per class,
+    // or null for the MLP (its first-layer weights don't belong to a single class)
+    getWeightTemplates() {
+        if (!this.isTrained || this.config.mode !== 'softmax') {
+            return null;
+        }
+
+        const weights = this.model.layers[0].getWeights()[0].arraySync();
+        const numClasses = weights[0].length;
+
+        const templates = Array.from({ length: numClasses }, (_, classIndex) => {
+            // A weight on a standardized pixel is worth weight / std per unit of raw pixel value
+            const column = weights.map((row, i) => this.normalization ? row[classIndex] / this.normalization.std[i] : row[classIndex]);
+            const maxAbs = Math.max(1e-12, ...column.map(Math.abs));
+            return column.map(value => value / maxAbs);
+        });
+
+        return { size: this.config.inputSize, templates };
+    }
+
+    async preprocessImages(images, signal = null) {
         const processed = [];
         
         for (let i = 0; i < images.length; i++) {
+            if (signal) signal.throwIfAborted();
             try {
                 const imageDataUrl = images[i];
-                const tensor = await this.loadAndPreprocessImage(imageDataUrl);
+                const tensor = await this.preprocessor.getTensor(imageDataUrl, this.config.inputSize, this.config.resizeMode);
                 const flattened = tensor.flatten();
                 const data = await flattened.data();
                 processed.push(Array.from(data));
@@ -99,64 +247,23 @@ class LogisticRegressionTrainer {
         return processed;
     }
 
-    async loadAndPreprocessImage(imageDataUrl) {
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            img.onload = () => {
-                try {
-                    const tensor = tf.browser.fromPixels(img)
-                        .resizeNearestNeighbor([32, 32]) // Smaller for performance
-                        .toFloat()
-                        .div(255.0);
-                    resolve(tensor);
-                } catch (error) {
-                    reject(error);
-                }
-            };
-            img.onerror = () => reject(new Error('Failed to load image'));
-            img.src = imageDataUrl;
-        });
+    getEvaluationInfo() {
+        return {};
     }
 
-    async evaluate(testImages, testLabels) {
-        if (!this.isTrained) {
-            throw new Error('Model not trained yet');
-        }
-
-        try {
-            const processedImages = await this.preprocessImages(testImages);
-            const xs = tf.tensor2d(processedImages);
-            const numClasses = this.model.layers[2].units;
-            const ys = tf.oneHot(tf.tensor1d(testLabels, 'int32'), numClasses);
-
-            const evaluation = this.model.evaluate(xs, ys);
-            const loss = evaluation[0].dataSync()[0];
-            const accuracy = evaluation[1].dataSync()[0];
-
-            // Clean up
-            xs.dispose();
-            ys.dispose();
-            evaluation[0].dispose();
-            evaluation[1].dispose();
-
-            return {
-                accuracy: accuracy,
-                loss: loss
-            };
-        } catch (error) {
-            console.error('Error in evaluation:', error);
-            throw error;
-        }
+    async predict(input) {
+        const probabilities = await this.predictUncalibrated(input);
+        return this.calibrator ? this.calibrator.apply(probabilities) : probabilities;
     }
 
-    async predict(imageDataUrl) {
+    async predictUncalibrated(input) {
         if (!this.isTrained) {
             throw new Error('Model not trained yet');
         }
 
         try {
-            const processedImage = await this.preprocessImages([imageDataUrl]);
-            const xs = tf.tensor2d(processedImage);
+            const processedImage = await this.preprocessImages([input]);
+            const xs = tf.tensor2d(this.standardize(processedImage));
             
             const prediction = this.model.predict(xs);
             const probabilities = await prediction.data();
@@ -172,22 +279,56 @@ class LogisticRegressionTrainer {
         }
     }
 
-    saveModel() {
+    // Complete artifact (metadata + topology + weights) that loadModel can restore
+    async saveModel() {
         if (!this.isTrained) {
             throw new Error('Model not trained yet');
         }
         
         return {
             type: 'logistic-regression',
+            config: this.config,
             timestamp: new Date().toISOString(),
-            accuracy: this.trainingHistory.history.acc[this.trainingHistory.history.acc.length - 1],
-            inputShape: this.model.layers[0].batchInputShape
+            accuracy: this.getFinalAccuracy(),
+            inputShape: this.model.layers[0].batchInputShape,
+            model: await ModelSerializer.serializeLayersModel(this.model),
+            calibration: this.calibrator ? this.calibrator.toJSON() : null,
+            normalization: this.normalization,
+            history: this.trainingHistory ? this.trainingHistory.history : null,
+            weightsEpoch: this.weightsEpoch
         };
     }
 
+    async loadModel(artifact) {
+        if (!artifact || artifact.type !== 'logistic-regression') {
+            throw new Error('Invalid logistic regression model data');
+        }
+
+        // Models saved before the softmax mode existed were unstandardized MLPs
+        this.config = TrainerConfig.validate(
+            { mode: 'mlp', standardize: false, ...(artifact.config || {}) },
+            LogisticRegressionTrainer.CONFIG_SCHEMA
+        );
+        this.dispose();
+        this.model = await ModelSerializer.deserializeLayersModel(artifact.model);
+        this.trainingHistory = artifact.history ? { history: artifact.history } : null;
+        this.weightsEpoch = artifact.weightsEpoch || null;
+        this.calibrator = artifact.calibration ? ProbabilityCalibrator.fromJSON(artifact.calibration) : null;
+        this.normalization = artifact.normalization || null;
+        this.isTrained = true;
+    }
+
+    getFinalAccuracy() {
+        const acc = this.trainingHistory && this.trainingHistory.history.acc;
+        if (!acc || acc.length === 0) return null;
+        return this.weightsEpoch ? acc[this.weightsEpoch - 1] : acc[acc.length - 1];
+    }
+
     dispose() {
         if (this.model) {
             this.model.dispose();
+            this.model = null;
         }
+        this.isTrained = false;
     }
 }
\ No newline at end of file
@@ -1,47 +1,89 @@
 class RandomForestTrainer {
-    constructor() {
+    constructor(config = {}) {
         this.model = null;
         this.isTrained = false;
         this.features = [];
         this.labels = [];
-        this.numTrees = 50; // Reduced for performance
+        this.config = TrainerConfig.validate(config, RandomForestTrainer.CONFIG_SCHEMA);
+        this.numTrees = this.config.numTrees;
+        this.featureExtractor = ImageFeatureExtractor.fromConfig(this.config);
+        this.numClasses = 0;
         this.classNames = [];
+        this.preprocessor = ImagePreprocessor.getInstance();
+        this.calibrator = null;
+        // Trees are built and evaluated in web workers; null means everything runs on the main thread
+        this.workerPool = ForestWorkerPool.isSupported() ? new ForestWorkerPool() : null;
     }
 
-    async train(dataset, onProgress = null) {
+    static get CONFIG_SCHEMA() {
+        return {
+            numTrees: { label: 'Trees', type: 'int', default: 50, min: 1, max: 500 },
+            maxDepth: { label: 'Max depth', type: 'int', default: 10, min: 1, max: 30 },
+            criterion: {
+                label: 'Split criterion',
+                type: 'enum',
+                default: 'gini',
+                options: [
+                    { value: 'gini', label: 'Gini impurity' },
+                    { value: 'entropy', label: 'Entropy' }
+                ]
+            },
+            minSamplesLeaf: { label: 'Min samples per leaf', type: 'int', default: 1, min: 1, max: 50 },
+            balancedBootstrap: { label: 'Balanced bootstrap', type: 'boolean', default: false },
+            inputSize: { label: 'Thumbnail size (px)', type: 'int', default: 32, min: 4, max: 64 },
+            resizeMode: ImagePreprocessor.RESIZE_MODE_SETTING,
+            calibration: ProbabilityCalibrator.SETTING,
+            ...ImageFeatureExtractor.configSchema()
+        };
+    }
+
+    // options.signal (AbortSignal) stops feature extraction or tree building and rejects with an AbortError
+    async train(dataset, onProgress = null, options = {}) {
+        const signal = options.signal || null;
+
         try {
             if (!dataset || !dataset.images || dataset.images.length === 0) {
                 throw new Error('No training data available');
             }
 
             const numClasses = Math.max(...dataset.labels) + 1;
+            this.numClasses = numClasses;
             this.classNames = Array.from({length: numClasses}, (_, i) => `Class ${i}`);
             
-            console.log(`Training Random Forest with ${dataset.images.length} images, ${numClasses} classes`);
+            console.log(`Training Random Forest with ${dataset.images.length} images, ${numClasses} classes, ` +
+                `${this.featureExtractor.length} features (${this.featureExtractor.names.join(', ')})`);
 
             // Extract features from images
-            this.features = await this.extractFeatures(dataset.images, onProgress);
+            this.features = await this.extractFeatures(dataset.images, onProgress, signal);
             this.labels = dataset.labels;
 
             // Train Random Forest
-            this.model = await this.trainRandomForest(this.features, this.labels, onProgress);
+            this.model = await this.trainRandomForest(this.features, this.labels, onProgress, signal);
             this.isTrained = true;
+            this.calibrator = await ProbabilityCalibrator.fitModel(this, options.validationData, this.config.calibration, signal);
 
             console.log('Random Forest training completed');
             return {
                 accuracy: this.model.accuracy,
+                oobAccuracy: this.model.oobAccuracy,
                 trees: this.numTrees
             };
         } catch (error) {
-            console.error('Error in Random Forest training:', error);
+            if (error.name === 'AbortError') {
+                console.log('Random Forest training cancelled');
+                this.dispose();
+            } else {
+                console.error('Error in Random Forest training:', error);
+            }
             throw error;
         }
     }
 
-    async extractFeatures(images, onProgress) {
+    async extractFeatures(images, onProgress, signal = null) {
         const features = [];
         
         for (let i = 0; i < images.length; i++) {
+            if (signal) signal.throwIfAborted();
             try {
                 const imageDataUrl = images[i];
                 const feature = await this.extractImageFeatures(imageDataUrl);
@@ -54,325 +96,167 @@ class RandomForestTrainer {
             } catch (error) {
                 console.error(`Error extracting features from image ${i}:`, error);
                 // Push zero features as fallback
-                features.push(new Array(24).fill(0));
+                features.push(new Array(this.featureExtractor.length).fill(0));
             }
         }
         
         return features;
     }
 
-    async extractImageFeatures(imageDataUrl) {
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            img.onload = () => {
-                try {
-                    // Create canvas to process image
-                    const canvas = document.createElement('canvas');
-                    const ctx = canvas.getContext('2d');
-                    canvas.width = 16; // Smaller for performance
-                    canvas.height = 16;
-                    
-                    ctx.drawImage(img, 0, 0, 16, 16);
-                    const imageData = ctx.getImageData(0, 0, 16, 16);
-                    
-                    // Extract simple features
-                    const features = this.computeImageFeatures(imageData);
-                    resolve(features);
-                } catch (error) {
-                    reject(error);
-                }
-            };
-            img.onerror = () => reject(new Error('Failed to load image'));
-            img.src = imageDataUrl;
-        });
+    // Accepts a data URL or a video/image/canvas element
+    async extractImageFeatures(input) {
+        const imageData = await this.preprocessor.getPixels(input, this.config.inputSize, this.config.resizeMode);
+        return this.featureExtractor.extract(imageData);
     }
 
-    computeImageFeatures(imageData) {
-        const data = imageData.data;
-        const features = [];
-        
-        // Color histogram features
-        const rHist = new Array(4).fill(0);
-        const gHist = new Array(4).fill(0);
-        const bHist = new Array(4).fill(0);
-        
-        for (let i = 0; i < data.length; i += 4) {
-            const r = data[i];
-            const g = data[i + 1];
-            const b = data[i + 2];
-            
-            rHist[Math.floor(r / 64)]++;
-            gHist[Math.floor(g / 64)]++;
-            bHist[Math.floor(b / 64)]++;
-        }
-        
-        // Normalize histograms
-        const totalPixels = (data.length / 4);
-        features.push(...rHist.map(val => val / totalPixels));
-        features.push(...gHist.map(val => val / totalPixels));
-        features.push(...bHist.map(val => val / totalPixels));
-        
-        // Mean colors
-        features.push(
-            rHist.reduce((sum, val, idx) => sum + val * (idx * 64 + 32), 0) / totalPixels / 255,
-            gHist.reduce((sum, val, idx) => sum + val * (idx * 64 + 32), 0) / totalPixels / 255,
-            bHist.reduce((sum, val, idx) => sum + val * (idx * 64 + 32), 0) / totalPixels / 255
-        );
-        
-        return features;
-    }
+    // Training accuracy is measured out-of-bag: each sample is only scored by the trees whose
+    // bootstrap left it out, so it estimates accuracy on unseen images.
+    async trainRandomForest(features, labels, onProgress, signal = null) {
+        const trees = [];
+        // Votes from trees that did not see a sample in their bootstrap (out-of-bag)
+        const oobVotes = features.map(() => ({}));
+        let oobAccuracy = null;
+        const importance = new Array(this.featureExtractor.length).fill(0);
+        const treeOptions = {
+            maxDepth: this.config.maxDepth,
+            minSamplesLeaf: this.config.minSamplesLeaf,
+            criterion: this.config.criterion,
+            balanced: this.config.balancedBootstrap,
+            numClasses: this.numClasses
+        };
 
-    async trainRandomForest(features, labels, onProgress) {
-        return new Promise((resolve) => {
-            // Simplified Random Forest implementation
-            const trees = [];
-            const numSamples = features.length;
-            
-            for (let i = 0; i < this.numTrees; i++) {
-                // Bootstrap sample
-                const sampleFeatures = [];
-                const sampleLabels = [];
-                
-                for (let j = 0; j < numSamples; j++) {
-                    const randomIndex = Math.floor(Math.random() * numSamples);
-                    sampleFeatures.push(features[randomIndex]);
-                    sampleLabels.push(labels[randomIndex]);
-                }
-                
-                // Train decision tree
-                const tree = this.trainDecisionTree(sampleFeatures, sampleLabels);
-                trees.push(tree);
-                
-                if (onProgress) {
-                    const progress = 50 + ((i + 1) / this.numTrees * 50);
-                    onProgress(progress, { stage: 'tree-building', current: i + 1, total: this.numTrees });
-                }
+        const addTree = ({ tree, oobPredictions, importance: treeImportance }) => {
+            trees.push(tree);
+            treeImportance.forEach((value, i) => {
+                importance[i] += value;
+            });
+            oobPredictions.forEach(([index, prediction]) => {
+                oobVotes[index][prediction] = (oobVotes[index][prediction] || 0) + 1;
+            });
+            oobAccuracy = this.calculateOobAccuracy(oobVotes, labels);
+
+            if (onProgress) {
+                const progress = 50 + (trees.length / this.numTrees * 50);
+                onProgress(progress, { stage: 'tree-building', current: trees.length, total: this.numTrees, oobAccuracy });
             }
-            
-            const accuracy = this.calculateAccuracy(features, labels, trees);
-            resolve({ trees, accuracy });
-        });
-    }
+        };
 
-    trainDecisionTree(features, labels, depth = 0, maxDepth = 10) {
-        if (features.length === 0 || depth >= maxDepth) {
-            return this.createLeafNode(labels);
-        }
-        
-        const uniqueLabels = [...new Set(labels)];
-        if (uniqueLabels.length === 1) {
-            return { type: 'leaf', value: uniqueLabels[0], count: labels.length };
-        }
-        
-        // Find best split
-        const bestSplit = this.findBestSplit(features, labels);
-        if (!bestSplit) {
-            return this.createLeafNode(labels);
+        let builtInWorkers = false;
+        if (this.workerPool) {
+            try {
+                await this.workerPool.buildTrees(features, labels, {
+                    numTrees: this.numTrees,
+                    treeOptions,
+                    signal,
+                    onTree: addTree
+                });
+                builtInWorkers = true;
+            } catch (error) {
+                if (error.name === 'AbortError' || trees.length > 0) throw error;
+                console.warn('Random forest worker unavailable, building trees on the main thread:', error);
+                this.workerPool = null;
+            }
         }
-        
-        // Split data
-        const leftFeatures = [];
-        const leftLabels = [];
-        const rightFeatures = [];
-        const rightLabels = [];
-        
-        for (let i = 0; i < features.length; i++) {
-            if (features[i][bestSplit.featureIndex] <= bestSplit.threshold) {
-                leftFeatures.push(features[i]);
-                leftLabels.push(labels[i]);
-            } else {
-                rightFeatures.push(features[i]);
-                rightLabels.push(labels[i]);
+
+        if (!builtInWorkers) {
+            for (let i = 0; i < this.numTrees; i++) {
+                if (signal) signal.throwIfAborted();
+
+                addTree(DecisionForest.buildBootstrapTree(features, labels, treeOptions));
+
+                // Yield so progress (and the training charts) can repaint between trees
+                await new Promise(resolve => setTimeout(resolve, 0));
             }
         }
         
         return {
-            type: 'node',
-            featureIndex: bestSplit.featureIndex,
-            threshold: bestSplit.threshold,
-            left: this.trainDecisionTree(leftFeatures, leftLabels, depth + 1, maxDepth),
-            right: this.trainDecisionTree(rightFeatures, rightLabels, depth + 1, maxDepth)
+            trees,
+            accuracy: oobAccuracy,
+            oobAccuracy,
+            featureImportance: this.normalizeImportance(importance)
         };
     }
 
-    createLeafNode(labels) {
-        const counts = {};
-        labels.forEach(label => {
-            counts[label] = (counts[label] || 0) + 1;
-        });
-        
-        const majorityLabel = Object.keys(counts).reduce((a, b) => counts[a] > counts[b] ? a : b);
-        return { 
-            type: 'leaf', 
-            value: parseInt(majorityLabel), 
-            count: labels.length,
-            distribution: counts 
-        };
+    // Mean decrease in impurity, scaled to sum to 1
+    normalizeImportance(importance) {
+        const total = importance.reduce((sum, value) => sum + value, 0);
+        return importance.map(value => total > 0 ? value / total : 0);
     }
 
-    findBestSplit(features, labels) {
-        if (features.length === 0) return null;
-        
-        const numFeatures = features[0].length;
-        let bestGain = -1;
-        let bestSplit = null;
-        
-        // Try random features
-        const numFeaturesToTry = Math.max(1, Math.floor(Math.sqrt(numFeatures)));
-        const triedFeatures = new Set();
-        
-        while (triedFeatures.size < numFeaturesToTry) {
-            const featureIndex = Math.floor(Math.random() * numFeatures);
-            if (triedFeatures.has(featureIndex)) continue;
-            triedFeatures.add(featureIndex);
-            
-            const values = features.map(f => f[featureIndex]);
-            const uniqueValues = [...new Set(values)];
-            
-            if (uniqueValues.length <= 1) continue;
-            
-            // Try a few random thresholds
-            for (let i = 0; i < 5; i++) {
-                const threshold = uniqueValues[Math.floor(Math.random() * uniqueValues.length)];
-                const gain = this.calculateInformationGain(features, labels, featureIndex, threshold);
-                
-                if (gain > bestGain) {
-                    bestGain = gain;
-                    bestSplit = { featureIndex, threshold, gain };
-                }
-            }
+    // Importance summed per feature set plus the top individual features, for the evaluation card
+    getFeatureImportance(topCount = 10) {
+        const importance = this.model && this.model.featureImportance;
+        if (!importance || importance.length !== this.featureExtractor.length) {
+            return null;
         }
-        
-        return bestSplit;
-    }
 
-    calculateInformationGain(features, labels, featureIndex, threshold) {
-        // Simplified information gain calculation
-        const leftLabels = [];
-        const rightLabels = [];
-        
-        for (let i = 0; i < features.length; i++) {
-            if (features[i][featureIndex] <= threshold) {
-                leftLabels.push(labels[i]);
-            } else {
-                rightLabels.push(labels[i]);
-            }
-        }
-        
-        const total = labels.length;
-        const leftEntropy = this.calculateEntropy(leftLabels);
-        const rightEntropy = this.calculateEntropy(rightLabels);
-        
-        return this.calculateEntropy(labels) - 
-               (leftLabels.length / total) * leftEntropy - 
-               (rightLabels.length / total) * rightEntropy;
+        const names = this.featureExtractor.getFeatureNames();
+        const groups = this.featureExtractor.getRanges().map(range => ({
+            name: range.label,
+            importance: importance.slice(range.start, range.start + range.length).reduce((sum, value) => sum + value, 0)
+        }));
+        const top = importance
+            .map((value, i) => ({ name: names[i], importance: value }))
+            .sort((a, b) => b.importance - a.importance)
+            .slice(0, topCount);
+
+        return { groups, top };
     }
 
-    calculateEntropy(labels) {
-        if (labels.length === 0) return 0;
-        
-        const counts = {};
-        labels.forEach(label => {
-            counts[label] = (counts[label] || 0) + 1;
-        });
-        
-        let entropy = 0;
-        Object.values(counts).forEach(count => {
-            const probability = count / labels.length;
-            entropy -= probability * Math.log2(probability);
+    // Accuracy over samples that have at least one out-of-bag vote, or null if none do yet
+    calculateOobAccuracy(oobVotes, labels) {
+        let correct = 0;
+        let counted = 0;
+
+        oobVotes.forEach((votes, index) => {
+            const voted = Object.keys(votes);
+            if (voted.length === 0) return;
+
+            const prediction = parseInt(voted.reduce((a, b) => votes[a] >= votes[b] ? a : b));
+            if (prediction === labels[index]) correct++;
+            counted++;
         });
-        
-        return entropy;
+
+        return counted > 0 ? correct / counted : null;
     }
 
-    calculateAccuracy(features, labels, trees) {
-        let correct = 0;
-        
-        for (let i = 0; i < features.length; i++) {
-            const prediction = this.predictInstance(features[i], trees);
-            if (prediction === labels[i]) {
-                correct++;
+    // Forest probabilities (averaged leaf distributions) for a batch of feature vectors, computed in the worker when one is available
+    async predictProbabilities(featuresList, trees = this.model.trees) {
+        if (this.workerPool) {
+            try {
+                return await this.workerPool.predict(trees, this.numClasses, featuresList);
+            } catch (error) {
+                console.warn('Random forest worker prediction failed, predicting on the main thread:', error);
+                this.workerPool.terminate();
+                this.workerPool = null;
             }
         }
-        
-        return correct / features.length;
-    }
 
-    predictInstance(features, trees) {
-        const votes = {};
-        
-        for (const tree of trees) {
-            const prediction = this.traverseTree(features, tree);
-            votes[prediction] = (votes[prediction] || 0) + 1;
-        }
-        
-        // Return majority vote
-        return Object.keys(votes).reduce((a, b) => votes[a] > votes[b] ? parseInt(a) : parseInt(b));
+        return featuresList.map(features => DecisionForest.predictProbabilities(features, trees, this.numClasses));
     }
 
-    traverseTree(features, tree) {
-        if (tree.type === 'leaf') {
-            return tree.value;
-        }
-        
-        if (features[tree.featureIndex] <= tree.threshold) {
-            return this.traverseTree(features, tree.left);
-        } else {
-            return this.traverseTree(features, tree.right);
-        }
+    getEvaluationInfo() {
+        return {
+            oobAccuracy: this.model.oobAccuracy,
+            trees: this.numTrees,
+            featureLength: this.featureExtractor.length,
+            featureImportance: this.getFeatureImportance()
+        };
     }
 
-    async evaluate(testImages, testLabels) {
-        if (!this.isTrained) {
-            throw new Error('Model not trained yet');
-        }
-
-        try {
-            const testFeatures = await this.extractFeatures(testImages);
-            let correct = 0;
-            
-            for (let i = 0; i < testFeatures.length; i++) {
-                const prediction = this.predictInstance(testFeatures[i], this.model.trees);
-                if (prediction === testLabels[i]) {
-                    correct++;
-                }
-            }
-            
-            const accuracy = correct / testFeatures.length;
-            
-            return {
-                accuracy: accuracy,
-                trees: this.numTrees
-            };
-        } catch (error) {
-            console.error('Error in evaluation:', error);
-            throw error;
-        }
+    async predict(input) {
+        const probabilities = await this.predictUncalibrated(input);
+        return this.calibrator ? this.calibrator.apply(probabilities) : probabilities;
     }
 
-    async predict(imageDataUrl) {
+    async predictUncalibrated(input) {
         if (!this.isTrained) {
             throw new Error('Model not trained yet');
         }
 
         try {
-            const features = await this.extractImageFeatures(imageDataUrl);
-            const votes = {};
-            
-            for (const tree of this.model.trees) {
-                const prediction = this.traverseTree(features, tree);
-                votes[prediction] = (votes[prediction] || 0) + 1;
-            }
-            
-            // Convert to probabilities
-            const totalTrees = this.model.trees.length;
-            const numClasses = Math.max(...this.labels) + 1;
-            const probabilities = [];
-            
-            for (let i = 0; i < numClasses; i++) {
-                probabilities.push((votes[i] || 0) / totalTrees);
-            }
-            
+            const features = await this.extractImageFeatures(input);
+            const [probabilities] = await this.predictProbabilities([features]);
             return probabilities;
         } catch (error) {
             console.error('Error in prediction:', error);
@@ -380,16 +264,68 @@ class RandomForestTrainer {
         }
     }
 
-    saveModel() {
+    // Complete artifact: the full tree structure is plain JSON
+    async saveModel() {
         if (!this.isTrained) {
             throw new Error('Model not trained yet');
         }
         
         return {
             type: 'random-forest',
+            config: this.config,
             timestamp: new Date().toISOString(),
             accuracy: this.model.accuracy,
-            numTrees: this.numTrees
+            oobAccuracy: this.model.oobAccuracy,
+            numTrees: this.numTrees,
+            numClasses: this.numClasses,
+            features: this.featureExtractor.names,
+            featureLength: this.featureExtractor.length,
+            featureImportance: this.model.featureImportance,
+            calibration: this.calibrator ? this.calibrator.toJSON() : null,
+            trees: this.model.trees
+        };
+    }
+
+    async loadModel(artifact) {
+        if (!artifact || artifact.type !== 'random-forest' || !Array.isArray(artifact.trees)) {
+            throw new Error('Invalid random forest model data');
+        }
+
+        // Models saved before feature sets were selectable used the 16x16 RGB histogram only
+        const config = artifact.features ?
+            { ...artifact.config } :
+            { inputSize: 16, ...(artifact.config || { numTrees: artifact.numTrees }) };
+        if (!artifact.features) {
+            Object.entries(ImageFeatureExtractor.getExtractors()).forEach(([name, extractor]) => {
+                config[extractor.configKey] = name === 'rgb';
+            });
+        }
+
+        this.config = TrainerConfig.validate(config, RandomForestTrainer.CONFIG_SCHEMA);
+        this.numTrees = this.config.numTrees;
+        this.featureExtractor = ImageFeatureExtractor.fromConfig(this.config);
+        if (artifact.featureLength && artifact.featureLength !== this.featureExtractor.length) {
+            throw new Error(`Saved model expects ${artifact.featureLength} features but its feature sets produce ${this.featureExtractor.length}`);
+        }
+        this.numClasses = artifact.numClasses;
+        this.model = {
+            trees: artifact.trees,
+            accuracy: artifact.accuracy,
+            oobAccuracy: artifact.oobAccuracy,
+            featureImportance: artifact.featureImportance || null
         };
+        this.calibrator = artifact.calibration ? ProbabilityCalibrator.fromJSON(artifact.calibration) : null;
+        this.isTrained = true;
+    }
+
+    // No tensors to release; stop the workers and drop the trees and cached features
+    dispose() {
+        if (this.workerPool) {
+            this.workerPool.terminate();
+        }
+        this.model = null;
+        this.features = [];
+        this.labels = [];
+        this.isTrained = false;
     }
 }
\ No newline at end of file
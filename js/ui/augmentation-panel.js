@@ -0,0 +1,99 @@
+class AugmentationPanel {
+    constructor(augmenter, datasetManager, container) {
+        this.augmenter = augmenter;
+        this.datasetManager = datasetManager;
+        this.container = container;
+        this.previewCount = 5;
+
+        this.render();
+    }
+
+    render() {
+        const schema = ImageAugmenter.CONFIG_SCHEMA;
+        const fields = Object.entries(schema).map(([key, spec]) => this.renderField(key, spec)).join('');
+
+        this.container.innerHTML = `
+            <form class="augmentation-form">
+                <div class="hyperparameter-fields">${fields}</div>
+                <div class="augmentation-error"></div>
+                <button type="button" class="btn-reset-settings augmentation-preview-button">Preview augmented samples</button>
+            </form>
+            <div class="augmentation-preview"></div>
+        `;
+
+        this.form = this.container.querySelector('.augmentation-form');
+        this.errorElement = this.container.querySelector('.augmentation-error');
+        this.previewElement = this.container.querySelector('.augmentation-preview');
+
+        this.form.addEventListener('change', () => this.applyForm());
+        this.container.querySelector('.augmentation-preview-button').addEventListener('click', () => this.renderPreview());
+    }
+
+    renderField(key, spec) {
+        const id = `augment-${key}`;
+        const value = this.augmenter.config[key];
+        const input = spec.type === 'boolean' ?
+            `<input type="checkbox" id="${id}" name="${key}" ${value ? 'checked' : ''}>` :
+            `<input type="number" id="${id}" name="${key}" value="${value}" min="${spec.min}" max="${spec.max}" step="${spec.step || 1}">`;
+
+        return `
+            <label class="hyperparameter-field" for="${id}">
+                <span>${HtmlUtils.escapeHtml(spec.label)}</span>
+                ${input}
+            </label>
+        `;
+    }
+
+    // Push the form values into the augmenter; invalid values keep the last valid config
+    applyForm() {
+        const config = {};
+        this.form.querySelectorAll('[name]').forEach(input => {
+            config[input.name] = input.type === 'checkbox' ? input.checked : input.value;
+        });
+
+        try {
+            this.augmenter.setConfig(config);
+            this.errorElement.textContent = '';
+            return true;
+        } catch (error) {
+            this.errorElement.textContent = error.message;
+            return false;
+        }
+    }
+
+    async renderPreview() {
+        if (!this.applyForm()) return;
+
+        const classes = this.datasetManager.classes.filter(classObj => classObj.images.length > 0);
+        if (classes.length === 0) {
+            this.previewElement.innerHTML = '<div class="metric-placeholder">Add images to preview augmentation</div>';
+            return;
+        }
+
+        try {
+            const rows = [];
+            for (const classObj of classes) {
+                const original = classObj.images[0].dataUrl;
+                const samples = await this.augmenter.preview(original, this.previewCount);
+
+                rows.push(`
+                    <div class="augmentation-preview-row">
+                        <span class="augmentation-preview-label">${HtmlUtils.escapeHtml(classObj.name)}</span>
+                        <img src="${original}" class="augmentation-original" title="Original">
+                        ${samples.map(dataUrl => `<img src="${dataUrl}" title="Augmented">`).join('')}
+                    </div>
+                `);
+            }
+            this.previewElement.innerHTML = rows.join('');
+        } catch (error) {
+            console.error('Error rendering augmentation preview:', error);
+            this.previewElement.innerHTML = `<div class="metric-placeholder">Preview failed: ${HtmlUtils.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    setDisabled(disabled) {
+        this.container.querySelectorAll('input, button').forEach(element => {
+            element.disabled = disabled;
+        });
+    }
+}
\ No newline at end of file
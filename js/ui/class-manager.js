@@ -1,9 +1,16 @@
 class ClassManagerUI {
-    constructor(datasetManager) {
+    constructor(datasetManager, modelManager) {
         this.datasetManager = datasetManager;
+        this.modelManager = modelManager;
         this.classesContainer = document.getElementById('classes-container');
         this.classNameInput = document.getElementById('class-name');
         this.addClassButton = document.getElementById('add-class');
+        this.undoBar = document.getElementById('gallery-undo');
+        this.undoText = document.getElementById('gallery-undo-text');
+        this.undoButton = document.getElementById('gallery-undo-button');
+        this.gallery = new ImageGallery(datasetManager, (message, type) => this.handleGalleryChange(message, type));
+        // Id of the class whose card is being dragged to a new position
+        this.draggedClassId = null;
         
         this.initializeEventListeners();
     }
@@ -15,26 +22,57 @@ class ClassManagerUI {
                 this.addClass();
             }
         });
+
+        if (this.undoButton) {
+            this.undoButton.addEventListener('click', () => this.undo());
+        }
+
+        // Class ids restart with each loaded project, so gallery state keyed by id must go too
+        this.datasetManager.onChange(change => {
+            if (change.type === 'cleared') {
+                this.gallery.reset();
+            }
+        });
     }
 
-    addClass() {
-        const className = this.classNameInput.value.trim();
-        
+    // Returns an error message, or null when the name is usable
+    validateClassName(className) {
         if (!className) {
-            this.showAlert('Please enter a class name', 'error');
-            return;
+            return 'Please enter a class name';
         }
 
         // Validate class name
         if (className.length > 50) {
-            this.showAlert('Class name too long (max 50 characters)', 'error');
-            return;
+            return 'Class name too long (max 50 characters)';
         }
 
         // Check for special characters
         const invalidChars = /[<>:"/\\|?*]/.test(className);
         if (invalidChars) {
-            this.showAlert('Class name contains invalid characters', 'error');
+            return 'Class name contains invalid characters';
+        }
+
+        return null;
+    }
+
+    // Training labels are class positions, so the class set and order must stay as prepared
+    // until the running training (or cross-validation) is done
+    canChangeClasses() {
+        if (this.modelManager.isAnyModelTraining()) {
+            this.showAlert('Cannot add, delete, merge or reorder classes while training', 'error');
+            return false;
+        }
+        return true;
+    }
+
+    addClass() {
+        if (!this.canChangeClasses()) return;
+
+        const className = this.classNameInput.value.trim();
+        
+        const nameError = this.validateClassName(className);
+        if (nameError) {
+            this.showAlert(nameError, 'error');
             return;
         }
 
@@ -49,6 +87,8 @@ class ClassManagerUI {
     }
 
     deleteClass(className) {
+        if (!this.canChangeClasses()) return;
+
         if (confirm(`Are you sure you want to delete class "${className}" and all its images?`)) {
             const success = this.datasetManager.deleteClass(className);
             if (success) {
@@ -60,12 +100,89 @@ class ClassManagerUI {
         }
     }
 
+    renameClass(className) {
+        const input = prompt(`Rename class "${className}" to:`, className);
+        if (input === null) return;
+
+        const newName = input.trim();
+        if (newName === className) return;
+
+        const nameError = this.validateClassName(newName);
+        if (nameError) {
+            this.showAlert(nameError, 'error');
+            return;
+        }
+
+        try {
+            this.datasetManager.renameClass(className, newName);
+            this.renderClasses();
+            this.showAlert(`Class "${className}" renamed to "${newName}"`, 'success');
+        } catch (error) {
+            this.showAlert(error.message, 'error');
+        }
+    }
+
+    mergeClass(className, targetClassName) {
+        if (!this.canChangeClasses()) return;
+
+        if (!confirm(`Merge "${className}" into "${targetClassName}"? All its images move to "${targetClassName}" and "${className}" is removed.`)) {
+            return;
+        }
+
+        try {
+            const count = this.datasetManager.mergeClasses(className, targetClassName);
+            this.renderClasses();
+            this.showAlert(`Merged "${className}" into "${targetClassName}" (${count} image${count === 1 ? '' : 's'} moved)`, 'success');
+        } catch (error) {
+            this.showAlert(error.message, 'error');
+        }
+    }
+
+    setClassColor(card, className, color) {
+        try {
+            this.datasetManager.setClassColor(className, color);
+            card.style.setProperty('--class-color', color);
+        } catch (error) {
+            this.showAlert(error.message, 'error');
+        }
+    }
+
+    handleGalleryChange(message, type) {
+        if (type === 'success') {
+            this.renderClasses();
+        }
+        this.showAlert(message, type);
+    }
+
+    undo() {
+        try {
+            const description = this.datasetManager.undo();
+            this.renderClasses();
+            this.showAlert(`Undone: ${description}`, 'success');
+        } catch (error) {
+            this.showAlert(error.message, 'error');
+            this.updateUndoBar();
+        }
+    }
+
+    updateUndoBar() {
+        if (!this.undoBar) return;
+
+        const description = this.datasetManager.getUndoDescription();
+        this.undoBar.style.display = description ? 'flex' : 'none';
+        if (description) {
+            this.undoText.textContent = description;
+        }
+    }
+
     renderClasses() {
         if (!this.classesContainer) {
             console.error('Classes container not found');
             return;
         }
 
+        this.updateUndoBar();
+
         this.classesContainer.innerHTML = '';
         
         if (this.datasetManager.classes.length === 0) {
@@ -89,14 +206,31 @@ class ClassManagerUI {
         const card = document.createElement('div');
         card.className = 'class-card';
         card.dataset.className = classObj.name;
+        card.style.setProperty('--class-color', classObj.color);
+        const otherClasses = this.datasetManager.classes.filter(c => c !== classObj);
         
         card.innerHTML = `
             <div class="class-header">
-                <span class="class-name">${this.escapeHtml(classObj.name)}</span>
-                <button class="delete-class" data-class="${this.escapeHtml(classObj.name)}" 
-                        title="Delete class">
-                    ×
-                </button>
+                <span class="class-drag-handle" title="Drag to reorder">⠿</span>
+                <input type="color" class="class-color" value="${classObj.color}" title="Class color">
+                <span class="class-name" title="Double-click to rename">${this.escapeHtml(classObj.name)}</span>
+                <div class="class-actions">
+                    <button class="class-action rename-class" title="Rename class">✎</button>
+                    <button class="class-action merge-class" title="Merge into another class"
+                            ${otherClasses.length === 0 ? 'disabled' : ''}>⇥</button>
+                    <button class="delete-class" data-class="${this.escapeHtml(classObj.name)}" 
+                            title="Delete class">
+                        ×
+                    </button>
+                </div>
+            </div>
+            <div class="merge-row" style="display: none;">
+                <span>Merge into</span>
+                <select class="merge-target">
+                    ${otherClasses.map(c => `<option value="${this.escapeHtml(c.name)}">${this.escapeHtml(c.name)}</option>`).join('')}
+                </select>
+                <button class="btn-small merge-confirm">Merge</button>
+                <button class="btn-small merge-cancel">Cancel</button>
             </div>
             <div class="image-upload">
                 <input type="file" accept="image/*" multiple 
@@ -117,6 +251,25 @@ class ClassManagerUI {
             this.deleteClass(classObj.name);
         });
 
+        card.querySelector('.rename-class').addEventListener('click', () => this.renameClass(classObj.name));
+        card.querySelector('.class-name').addEventListener('dblclick', () => this.renameClass(classObj.name));
+        card.querySelector('.class-color').addEventListener('change', (e) => {
+            this.setClassColor(card, classObj.name, e.target.value);
+        });
+
+        const mergeRow = card.querySelector('.merge-row');
+        card.querySelector('.merge-class').addEventListener('click', () => {
+            mergeRow.style.display = mergeRow.style.display === 'none' ? 'flex' : 'none';
+        });
+        card.querySelector('.merge-cancel').addEventListener('click', () => {
+            mergeRow.style.display = 'none';
+        });
+        card.querySelector('.merge-confirm').addEventListener('click', () => {
+            this.mergeClass(classObj.name, card.querySelector('.merge-target').value);
+        });
+
+        this.initializeDragAndDrop(card, classObj);
+
         const imageInput = card.querySelector('.image-input');
         imageInput.addEventListener('change', (e) => {
             e.preventDefault();
@@ -129,6 +282,46 @@ class ClassManagerUI {
         return card;
     }
 
+    // Cards are only draggable while the handle is held, so thumbnails and inputs behave normally
+    initializeDragAndDrop(card, classObj) {
+        const handle = card.querySelector('.class-drag-handle');
+        handle.addEventListener('mousedown', () => card.draggable = true);
+        handle.addEventListener('mouseup', () => card.draggable = false);
+
+        card.addEventListener('dragstart', (e) => {
+            this.draggedClassId = classObj.id;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', classObj.name);
+            card.classList.add('dragging');
+        });
+
+        card.addEventListener('dragend', () => {
+            this.draggedClassId = null;
+            card.draggable = false;
+            card.classList.remove('dragging');
+        });
+
+        card.addEventListener('dragover', (e) => {
+            if (this.draggedClassId === null || this.draggedClassId === classObj.id) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            card.classList.add('drag-over');
+        });
+
+        card.addEventListener('dragleave', () => card.classList.remove('drag-over'));
+
+        card.addEventListener('drop', (e) => {
+            e.preventDefault();
+            card.classList.remove('drag-over');
+
+            const dragged = this.datasetManager.getClassById(this.draggedClassId);
+            if (!dragged || dragged === classObj || !this.canChangeClasses()) return;
+
+            this.datasetManager.moveClass(dragged.name, this.datasetManager.classes.indexOf(classObj));
+            this.renderClasses();
+        });
+    }
+
     async handleImageUpload(event, className) {
         const files = Array.from(event.target.files);
         
@@ -188,34 +381,7 @@ class ClassManagerUI {
             return;
         }
 
-        container.innerHTML = '';
-        
-        if (classObj.images.length === 0) {
-            container.innerHTML = '<div class="no-images">No images uploaded yet</div>';
-            return;
-        }
-
-        // Show first 10 images as preview
-        const imagesToShow = classObj.images.slice(0, 10);
-        
-        imagesToShow.forEach(image => {
-            const imgElement = document.createElement('img');
-            imgElement.className = 'class-image';
-            imgElement.src = image.dataUrl;
-            imgElement.alt = `Image for ${this.escapeHtml(classObj.name)}`;
-            imgElement.title = `Image ${image.id + 1}`;
-            imgElement.loading = 'lazy'; // Lazy loading for performance
-            
-            container.appendChild(imgElement);
-        });
-
-        // Show count if more than 10 images
-        if (classObj.images.length > 10) {
-            const moreText = document.createElement('div');
-            moreText.className = 'more-images';
-            moreText.textContent = `+${classObj.images.length - 10} more`;
-            container.appendChild(moreText);
-        }
+        this.gallery.render(classObj, container);
 
         // Update image count in header
         this.updateImageCount(classObj.name);
@@ -322,59 +488,4 @@ class ClassManagerUI {
             validation: this.datasetManager.validateDataset()
         };
     }
-
-    // Export dataset for backup
-    exportDataset() {
-        const dataset = {
-            classes: this.datasetManager.classes,
-            timestamp: new Date().toISOString(),
-            version: '1.0'
-        };
-        
-        const dataStr = JSON.stringify(dataset, null, 2);
-        const dataBlob = new Blob([dataStr], { type: 'application/json' });
-        
-        const url = URL.createObjectURL(dataBlob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `image-dataset-${new Date().getTime()}.json`;
-        link.click();
-        
-        URL.revokeObjectURL(url);
-    }
-
-    // Import dataset from backup
-    async importDataset(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                try {
-                    const dataset = JSON.parse(e.target.result);
-                    
-                    // Validate dataset structure
-                    if (!dataset.classes || !Array.isArray(dataset.classes)) {
-                        throw new Error('Invalid dataset format');
-                    }
-                    
-                    // Clear current dataset
-                    this.datasetManager.clearAll();
-                    
-                    // Import classes and images
-                    dataset.classes.forEach(classData => {
-                        this.datasetManager.addClass(classData.name);
-                        // Note: Image files can't be restored from JSON backup
-                        // This would need server-side storage
-                    });
-                    
-                    this.renderClasses();
-                    this.showAlert('Dataset imported successfully', 'success');
-                    resolve();
-                } catch (error) {
-                    reject(new Error('Failed to import dataset: ' + error.message));
-                }
-            };
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsText(file);
-        });
-    }
 }
\ No newline at end of file
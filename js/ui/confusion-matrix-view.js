@@ -0,0 +1,116 @@
+class ConfusionMatrixView {
+    constructor(container) {
+        this.container = container;
+        this.samples = [];
+        this.classNames = [];
+    }
+
+    // data: { confusionMatrix, classNames, classMetrics, samples? } - samples are
+    // { dataUrl, actual, predicted, confidence } and enable the click-to-inspect list
+    render(data) {
+        if (!this.container) return;
+
+        this.classNames = data.classNames;
+        this.samples = data.samples || [];
+
+        const matrix = data.confusionMatrix;
+        const maxCount = Math.max(1, ...matrix.map(row => Math.max(...row)));
+
+        this.container.innerHTML = `
+            <div class="matrix-title">Confusion matrix <span class="matrix-axis">(rows: actual, columns: predicted)</span></div>
+            <div class="matrix-scroll">
+                <table class="confusion-matrix">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            ${this.classNames.map(name => `<th title="Predicted ${HtmlUtils.escapeHtml(name)}">${HtmlUtils.escapeHtml(name)}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${matrix.map((row, actual) => `
+                            <tr>
+                                <th title="Actual ${HtmlUtils.escapeHtml(this.classNames[actual])}">${HtmlUtils.escapeHtml(this.classNames[actual])}</th>
+                                ${row.map((count, predicted) => `
+                                    <td class="matrix-cell ${actual === predicted ? 'diagonal' : 'off-diagonal'} ${count > 0 && this.samples.length > 0 ? 'clickable' : ''}"
+                                        data-actual="${actual}" data-predicted="${predicted}"
+                                        style="background: rgba(${actual === predicted ? '6, 214, 160' : '239, 68, 68'}, ${(count / maxCount * 0.8).toFixed(2)})">
+                                        ${count}
+                                    </td>
+                                `).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${data.classMetrics ? this.renderClassMetrics(data.classMetrics) : ''}
+            <div class="matrix-samples"></div>
+        `;
+
+        this.container.querySelectorAll('.matrix-cell.clickable').forEach(cell => {
+            cell.addEventListener('click', () => {
+                this.showSamples(parseInt(cell.dataset.actual, 10), parseInt(cell.dataset.predicted, 10));
+            });
+        });
+
+        this.container.style.display = 'block';
+    }
+
+    renderClassMetrics(classMetrics) {
+        const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+        return `
+            <table class="class-metrics">
+                <thead>
+                    <tr><th>Class</th><th>Precision</th><th>Recall</th><th>F1</th><th>Support</th></tr>
+                </thead>
+                <tbody>
+                    ${this.classNames.map((name, i) => `
+                        <tr>
+                            <td>${HtmlUtils.escapeHtml(name)}</td>
+                            <td>${percent(classMetrics.precision[i])}</td>
+                            <td>${percent(classMetrics.recall[i])}</td>
+                            <td>${percent(classMetrics.f1Score[i])}</td>
+                            <td>${classMetrics.support[i]}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // List the test images that fall into one matrix cell so mislabeled data can be found
+    showSamples(actual, predicted) {
+        const list = this.container.querySelector('.matrix-samples');
+        if (!list) return;
+
+        this.container.querySelectorAll('.matrix-cell.selected').forEach(cell => cell.classList.remove('selected'));
+        const cell = this.container.querySelector(`.matrix-cell[data-actual="${actual}"][data-predicted="${predicted}"]`);
+        if (cell) cell.classList.add('selected');
+
+        const samples = this.samples.filter(sample => sample.actual === actual && sample.predicted === predicted);
+        const actualName = HtmlUtils.escapeHtml(this.classNames[actual]);
+        const predictedName = HtmlUtils.escapeHtml(this.classNames[predicted]);
+        const title = actual === predicted ?
+            `${samples.length} correctly classified "${actualName}" image(s)` :
+            `${samples.length} "${actualName}" image(s) predicted as "${predictedName}"`;
+
+        list.innerHTML = `
+            <div class="matrix-samples-title">${title}</div>
+            <div class="matrix-samples-grid">
+                ${samples.map(sample => `
+                    <figure class="matrix-sample">
+                        <img src="${sample.dataUrl}" alt="${actualName} predicted as ${predictedName}" loading="lazy">
+                        <figcaption>${(sample.confidence * 100).toFixed(0)}%</figcaption>
+                    </figure>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    clear() {
+        if (!this.container) return;
+        this.container.innerHTML = '';
+        this.container.style.display = 'none';
+        this.samples = [];
+    }
+}
\ No newline at end of file
@@ -0,0 +1,42 @@
+class FeatureImportanceView {
+    constructor(container) {
+        this.container = container;
+    }
+
+    // data: { groups: [{ name, importance }], top: [{ name, importance }] } with importances summing to 1
+    render(data) {
+        if (!this.container) return;
+
+        this.container.innerHTML = `
+            <div class="matrix-title">Feature importance <span class="matrix-axis">(mean decrease in impurity)</span></div>
+            <div class="importance-section">By feature set</div>
+            ${this.renderBars(data.groups)}
+            <div class="importance-section">Top ${data.top.length} features</div>
+            ${this.renderBars(data.top)}
+        `;
+        this.container.style.display = 'block';
+    }
+
+    renderBars(items) {
+        const max = Math.max(1e-9, ...items.map(item => item.importance));
+
+        return `
+            <div class="importance-bars">
+                ${items.map(item => `
+                    <div class="importance-row" title="${HtmlUtils.escapeHtml(item.name)}: ${(item.importance * 100).toFixed(2)}%">
+                        <span class="importance-label">${HtmlUtils.escapeHtml(item.name)}</span>
+                        <span class="importance-bar"><span style="width: ${(item.importance / max * 100).toFixed(1)}%"></span></span>
+                        <span class="importance-value">${(item.importance * 100).toFixed(1)}%</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    clear() {
+        if (this.container) {
+            this.container.innerHTML = '';
+            this.container.style.display = 'none';
+        }
+    }
+}
\ No newline at end of file
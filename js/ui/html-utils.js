@@ -0,0 +1,11 @@
+// Helpers shared by the views that build markup from user-provided text (class names, file names)
+class HtmlUtils {
+    static escapeHtml(unsafe) {
+        return unsafe
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#039;");
+    }
+}
\ No newline at end of file
@@ -0,0 +1,115 @@
+class HyperparameterPanel {
+    constructor(modelManager, container) {
+        this.modelManager = modelManager;
+        this.container = container;
+        this.modelTypes = ['logisticRegression', 'randomForest', 'cnn'];
+
+        this.render();
+    }
+
+    render() {
+        this.container.innerHTML = this.modelTypes.map(modelType => {
+            const schema = this.modelManager.getConfigSchema(modelType);
+            const fields = Object.entries(schema)
+                .filter(([, spec]) => !spec.hidden)
+                .map(([key, spec]) => this.renderField(modelType, key, spec))
+                .join('');
+
+            return `
+                <fieldset class="hyperparameter-form" data-model-type="${modelType}">
+                    <legend>${this.getModelDisplayName(modelType)}</legend>
+                    <div class="hyperparameter-fields">${fields}</div>
+                    <button type="button" class="btn-reset-settings" data-model-type="${modelType}">Reset to defaults</button>
+                </fieldset>
+            `;
+        }).join('');
+
+        this.container.querySelectorAll('.btn-reset-settings').forEach(button => {
+            button.addEventListener('click', () => this.resetConfig(button.dataset.modelType));
+        });
+    }
+
+    renderField(modelType, key, spec) {
+        const id = `hp-${modelType}-${key}`;
+        let input;
+
+        if (spec.type === 'enum') {
+            input = `
+                <select id="${id}" name="${key}">
+                    ${spec.options.map(option => `
+                        <option value="${option.value}" ${option.value === spec.default ? 'selected' : ''}>${HtmlUtils.escapeHtml(option.label)}</option>
+                    `).join('')}
+                </select>
+            `;
+        } else if (spec.type === 'boolean') {
+            input = `<input type="checkbox" id="${id}" name="${key}" ${spec.default ? 'checked' : ''}>`;
+        } else if (spec.type === 'int' || spec.type === 'float') {
+            const step = spec.step !== undefined ? spec.step : (spec.type === 'int' ? 1 : 'any');
+            input = `<input type="number" id="${id}" name="${key}" value="${spec.default}"
+                min="${spec.min}" max="${spec.max}" step="${step}">`;
+        } else {
+            input = `<input type="text" id="${id}" name="${key}" value="${HtmlUtils.escapeHtml(String(spec.default))}">`;
+        }
+
+        return `
+            <label class="hyperparameter-field" for="${id}">
+                <span>${HtmlUtils.escapeHtml(spec.label)}</span>
+                ${input}
+            </label>
+        `;
+    }
+
+    getForm(modelType) {
+        return this.container.querySelector(`.hyperparameter-form[data-model-type="${modelType}"]`);
+    }
+
+    // Read the form for one model and validate it against the trainer's schema
+    getConfig(modelType) {
+        const schema = this.modelManager.getConfigSchema(modelType);
+        const form = this.getForm(modelType);
+        const config = {};
+
+        form.querySelectorAll('[name]').forEach(input => {
+            config[input.name] = input.type === 'checkbox' ? input.checked : input.value;
+        });
+
+        try {
+            return TrainerConfig.validate(config, schema);
+        } catch (error) {
+            throw new Error(`${this.getModelDisplayName(modelType)}: ${error.message}`);
+        }
+    }
+
+    // Show the settings a restored model was trained with
+    setConfig(modelType, config = {}) {
+        const form = this.getForm(modelType);
+
+        form.querySelectorAll('[name]').forEach(input => {
+            if (config[input.name] === undefined) return;
+            if (input.type === 'checkbox') {
+                input.checked = !!config[input.name];
+            } else {
+                input.value = config[input.name];
+            }
+        });
+    }
+
+    resetConfig(modelType) {
+        this.setConfig(modelType, TrainerConfig.defaults(this.modelManager.getConfigSchema(modelType)));
+    }
+
+    setDisabled(disabled) {
+        this.container.querySelectorAll('input, select, button').forEach(element => {
+            element.disabled = disabled;
+        });
+    }
+
+    getModelDisplayName(modelType) {
+        const names = {
+            logisticRegression: 'Logistic Regression',
+            randomForest: 'Random Forest',
+            cnn: 'Neural Network'
+        };
+        return names[modelType] || modelType;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,183 @@
+// Paginated thumbnails for a class with multi-select and bulk delete / move to another class.
+// Page and selection are kept per class id, so re-rendering the class cards doesn't lose them.
+class ImageGallery {
+    constructor(datasetManager, onChange) {
+        this.datasetManager = datasetManager;
+        // Called with (message, type) after images were deleted or moved, or the attempt failed
+        this.onChange = onChange;
+        this.states = new Map();
+    }
+
+    static get PAGE_SIZE() {
+        return 12;
+    }
+
+    // Forget pages and selections, e.g. when another project is loaded
+    reset() {
+        this.states.clear();
+    }
+
+    getState(classObj) {
+        if (!this.states.has(classObj.id)) {
+            this.states.set(classObj.id, { page: 0, selected: new Set(), lastClicked: null });
+        }
+        return this.states.get(classObj.id);
+    }
+
+    render(classObj, container) {
+        const state = this.getState(classObj);
+
+        // Drop selections of images that no longer exist and keep the page in range
+        const imageIds = new Set(classObj.images.map(image => image.id));
+        state.selected.forEach(id => {
+            if (!imageIds.has(id)) state.selected.delete(id);
+        });
+        const pageCount = Math.max(1, Math.ceil(classObj.images.length / ImageGallery.PAGE_SIZE));
+        state.page = Math.min(state.page, pageCount - 1);
+
+        if (classObj.images.length === 0) {
+            container.innerHTML = '<div class="no-images">No images uploaded yet</div>';
+            return;
+        }
+
+        const start = state.page * ImageGallery.PAGE_SIZE;
+        const pageImages = classObj.images.slice(start, start + ImageGallery.PAGE_SIZE);
+        const otherClasses = this.datasetManager.classes.filter(c => c !== classObj);
+
+        container.innerHTML = `
+            <div class="gallery-toolbar">
+                <button type="button" class="btn-small" data-action="select-page">Select page</button>
+                <button type="button" class="btn-small" data-action="select-all">Select all</button>
+                <button type="button" class="btn-small" data-action="select-none">Clear</button>
+                <span class="gallery-selection"></span>
+            </div>
+            <div class="gallery-grid">
+                ${pageImages.map((image, i) => `
+                    <button type="button" class="gallery-item" data-image-id="${image.id}"
+                            title="Image ${start + i + 1} of ${classObj.images.length} (shift-click to select a range)">
+                        <img class="class-image" src="${image.dataUrl}" alt="Image for ${HtmlUtils.escapeHtml(classObj.name)}" loading="lazy">
+                    </button>
+                `).join('')}
+            </div>
+            <div class="gallery-actions">
+                <select class="gallery-target" ${otherClasses.length === 0 ? 'disabled' : ''}>
+                    ${otherClasses.length === 0 ? '<option value="">No other classes</option>' : ''}
+                    ${otherClasses.map(c => `<option value="${HtmlUtils.escapeHtml(c.name)}">${HtmlUtils.escapeHtml(c.name)}</option>`).join('')}
+                </select>
+                <button type="button" class="btn-small" data-action="move">Move</button>
+                <button type="button" class="btn-small gallery-delete" data-action="delete">Delete</button>
+            </div>
+            ${pageCount > 1 ? `
+                <div class="gallery-pager">
+                    <button type="button" class="btn-small" data-action="previous" ${state.page === 0 ? 'disabled' : ''}>‹ Prev</button>
+                    <span>Page ${state.page + 1} of ${pageCount}</span>
+                    <button type="button" class="btn-small" data-action="next" ${state.page === pageCount - 1 ? 'disabled' : ''}>Next ›</button>
+                </div>
+            ` : ''}
+        `;
+
+        container.querySelectorAll('.gallery-item').forEach(item => {
+            item.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.toggleImage(classObj, parseInt(item.dataset.imageId), e.shiftKey);
+                this.updateSelection(classObj, container);
+            });
+        });
+
+        container.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleAction(classObj, container, button.dataset.action);
+            });
+        });
+
+        this.updateSelection(classObj, container);
+    }
+
+    // Shift-click selects every image between the last clicked one and this one
+    toggleImage(classObj, imageId, extendRange) {
+        const state = this.getState(classObj);
+        const ids = classObj.images.map(image => image.id);
+
+        if (extendRange && state.lastClicked !== null && ids.includes(state.lastClicked)) {
+            const from = ids.indexOf(state.lastClicked);
+            const to = ids.indexOf(imageId);
+            ids.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(id => state.selected.add(id));
+        } else if (state.selected.has(imageId)) {
+            state.selected.delete(imageId);
+        } else {
+            state.selected.add(imageId);
+        }
+
+        state.lastClicked = imageId;
+    }
+
+    handleAction(classObj, container, action) {
+        const state = this.getState(classObj);
+        const start = state.page * ImageGallery.PAGE_SIZE;
+
+        switch (action) {
+            case 'select-page':
+                classObj.images.slice(start, start + ImageGallery.PAGE_SIZE).forEach(image => state.selected.add(image.id));
+                break;
+            case 'select-all':
+                classObj.images.forEach(image => state.selected.add(image.id));
+                break;
+            case 'select-none':
+                state.selected.clear();
+                break;
+            case 'previous':
+            case 'next':
+                state.page += action === 'next' ? 1 : -1;
+                this.render(classObj, container);
+                return;
+            case 'delete':
+            case 'move':
+                this.applyToSelection(classObj, container, action);
+                return;
+        }
+
+        this.updateSelection(classObj, container);
+    }
+
+    applyToSelection(classObj, container, action) {
+        const state = this.getState(classObj);
+
+        try {
+            let message;
+            if (action === 'delete') {
+                const count = this.datasetManager.removeImages(classObj.name, [...state.selected]);
+                message = `Deleted ${this.describeCount(count)} from "${classObj.name}"`;
+            } else {
+                const target = container.querySelector('.gallery-target').value;
+                const count = this.datasetManager.moveImages(classObj.name, [...state.selected], target);
+                message = `Moved ${this.describeCount(count)} to "${target}"`;
+            }
+
+            state.selected.clear();
+            this.onChange(message, 'success');
+        } catch (error) {
+            this.onChange(error.message, 'error');
+        }
+    }
+
+    describeCount(count) {
+        return `${count} image${count === 1 ? '' : 's'}`;
+    }
+
+    // Reflect the selection without re-rendering the thumbnails
+    updateSelection(classObj, container) {
+        const state = this.getState(classObj);
+        const count = state.selected.size;
+
+        container.querySelectorAll('.gallery-item').forEach(item => {
+            item.classList.toggle('selected', state.selected.has(parseInt(item.dataset.imageId)));
+        });
+
+        container.querySelector('.gallery-selection').textContent = count > 0 ? `${count} selected` : '';
+        container.querySelector('[data-action="select-none"]').disabled = count === 0;
+        container.querySelector('[data-action="delete"]').disabled = count === 0;
+        container.querySelector('[data-action="move"]').disabled =
+            count === 0 || container.querySelector('.gallery-target').disabled;
+    }
+}
\ No newline at end of file
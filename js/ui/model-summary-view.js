@@ -0,0 +1,51 @@
+class ModelSummaryView {
+    constructor(container) {
+        this.container = container;
+    }
+
+    // summary: { architecture, layers: [{ name, type, outputShape, params }], totalParams, trainableParams, note }
+    render(summary) {
+        if (!this.container) return;
+
+        this.container.innerHTML = `
+            <div class="matrix-title">Model summary <span class="matrix-axis">(${HtmlUtils.escapeHtml(summary.architecture)})</span></div>
+            <div class="metric"><span>Parameters:</span><span>${this.formatCount(summary.totalParams)}</span></div>
+            <div class="metric"><span>Trainable:</span><span>${this.formatCount(summary.trainableParams)}</span></div>
+            ${summary.note ? `<div class="summary-note">${HtmlUtils.escapeHtml(summary.note)}</div>` : ''}
+            <details class="summary-layers">
+                <summary>${summary.layers.length} layers</summary>
+                <table class="cv-table">
+                    <thead>
+                        <tr><th>Layer</th><th>Output shape</th><th>Params</th></tr>
+                    </thead>
+                    <tbody>
+                        ${summary.layers.map(layer => `
+                            <tr>
+                                <td title="${HtmlUtils.escapeHtml(layer.name)}">${HtmlUtils.escapeHtml(layer.type)}</td>
+                                <td>${this.formatShape(layer.outputShape)}</td>
+                                <td>${this.formatCount(layer.params)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </details>
+        `;
+        this.container.style.display = 'block';
+    }
+
+    // Drop the batch dimension: [null, 32, 32, 16] -> 32×32×16
+    formatShape(shape) {
+        return Array.isArray(shape) ? shape.slice(1).join('×') : '';
+    }
+
+    formatCount(count) {
+        return count.toLocaleString();
+    }
+
+    clear() {
+        if (this.container) {
+            this.container.innerHTML = '';
+            this.container.style.display = 'none';
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,162 @@
+class ProjectPickerUI {
+    constructor(projectManager, onProjectChanged) {
+        this.projectManager = projectManager;
+        this.onProjectChanged = onProjectChanged;
+        this.projectSelect = document.getElementById('project-select');
+        this.newProjectButton = document.getElementById('new-project');
+        this.deleteProjectButton = document.getElementById('delete-project');
+        this.exportProjectButton = document.getElementById('export-project');
+        this.importProjectInput = document.getElementById('import-project');
+
+        this.initializeEventListeners();
+    }
+
+    initializeEventListeners() {
+        this.projectSelect.addEventListener('change', () => this.switchProject(this.projectSelect.value));
+        this.newProjectButton.addEventListener('click', () => this.createProject());
+        this.deleteProjectButton.addEventListener('click', () => this.deleteProject());
+        this.exportProjectButton.addEventListener('click', () => this.exportProject());
+        this.importProjectInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Allow importing the same file twice
+            if (file) this.importProject(file);
+        });
+    }
+
+    async render() {
+        const projects = await this.projectManager.listProjects();
+        const current = this.projectManager.currentProject;
+
+        this.projectSelect.innerHTML = projects.map(project => `
+            <option value="${HtmlUtils.escapeHtml(project.id)}" ${current && current.id === project.id ? 'selected' : ''}>
+                ${HtmlUtils.escapeHtml(project.name)}
+            </option>
+        `).join('');
+
+        const disabled = !this.projectManager.isAvailable;
+        this.projectSelect.disabled = disabled;
+        this.newProjectButton.disabled = disabled;
+        this.deleteProjectButton.disabled = disabled || projects.length === 0;
+    }
+
+    async switchProject(projectId) {
+        try {
+            await this.projectManager.loadProject(projectId);
+            await this.handleProjectChanged();
+        } catch (error) {
+            console.error('Error switching project:', error);
+            this.showAlert(`Could not open project: ${error.message}`, 'error');
+            await this.render();
+        }
+    }
+
+    async createProject() {
+        const name = prompt('Project name:', `Project ${new Date().toLocaleDateString()}`);
+        if (name === null) return;
+
+        try {
+            const project = await this.projectManager.createProject(name);
+            await this.handleProjectChanged();
+            this.showAlert(`Project "${project.name}" created`, 'success');
+        } catch (error) {
+            console.error('Error creating project:', error);
+            this.showAlert(`Could not create project: ${error.message}`, 'error');
+        }
+    }
+
+    async deleteProject() {
+        const project = this.projectManager.currentProject;
+        if (!project) return;
+
+        if (!confirm(`Are you sure you want to delete project "${project.name}" with all its images and models?`)) {
+            return;
+        }
+
+        try {
+            await this.projectManager.deleteProject(project.id);
+            await this.handleProjectChanged();
+            this.showAlert(`Project "${project.name}" deleted`, 'success');
+        } catch (error) {
+            console.error('Error deleting project:', error);
+            this.showAlert(`Could not delete project: ${error.message}`, 'error');
+        }
+    }
+
+    async exportProject() {
+        try {
+            this.exportProjectButton.disabled = true;
+            const blob = await this.projectManager.exportArchive();
+            const project = this.projectManager.currentProject;
+            const baseName = (project ? project.name : 'project').replace(/[^a-z0-9-_]+/gi, '-');
+
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${baseName}-${new Date().getTime()}.zip`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error exporting project:', error);
+            this.showAlert(`Could not export project: ${error.message}`, 'error');
+        } finally {
+            this.exportProjectButton.disabled = false;
+        }
+    }
+
+    async importProject(file) {
+        try {
+            const projectData = await this.projectManager.importArchive(file);
+            await this.handleProjectChanged();
+
+            const imageCount = projectData.classes.reduce((total, c) => total + c.images.length, 0);
+            this.showAlert(`Imported "${projectData.name}" (${projectData.classes.length} classes, ${imageCount} images, ${projectData.models.length} models)`, 'success');
+        } catch (error) {
+            console.error('Error importing project:', error);
+            this.showAlert(`Could not import project: ${error.message}`, 'error');
+        }
+    }
+
+    async handleProjectChanged() {
+        await this.render();
+        if (this.onProjectChanged) {
+            this.onProjectChanged(this.projectManager.currentProject);
+        }
+    }
+
+    showAlert(message, type = 'info') {
+        // Remove existing alerts
+        const existingAlerts = document.querySelectorAll('.project-alert');
+        existingAlerts.forEach(alert => alert.remove());
+
+        // Create new alert
+        const alert = document.createElement('div');
+        alert.className = `project-alert alert-${type}`;
+        alert.textContent = message;
+
+        // Style the alert
+        alert.style.cssText = `
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            padding: 12px 20px;
+            border-radius: 4px;
+            color: white;
+            font-weight: bold;
+            z-index: 1000;
+            max-width: 300px;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+            ${type === 'error' ? 'background: #e74c3c;' : ''}
+            ${type === 'success' ? 'background: #27ae60;' : ''}
+            ${type === 'info' ? 'background: #3498db;' : ''}
+        `;
+
+        document.body.appendChild(alert);
+
+        // Auto remove after 5 seconds
+        setTimeout(() => {
+            if (alert.parentNode) {
+                alert.parentNode.removeChild(alert);
+            }
+        }, 5000);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,104 @@
+class TrainingCharts {
+    constructor(container) {
+        this.container = container;
+        this.histories = {};
+        this.isAvailable = !!window.tfvis;
+
+        if (!this.isAvailable) {
+            console.warn('tfjs-vis not loaded - training charts disabled');
+        }
+    }
+
+    // Reset the panel for a model that is about to be (re)trained; other panels are kept for comparison
+    start(modelType, title) {
+        if (!this.isAvailable || !this.container) return;
+
+        this.histories[modelType] = { epochs: [], trees: [] };
+
+        let panel = this.container.querySelector(`[data-model-type="${modelType}"]`);
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.className = 'chart-panel';
+            panel.dataset.modelType = modelType;
+            this.container.appendChild(panel);
+        }
+
+        panel.innerHTML = `
+            <h4>${title}</h4>
+            <div class="chart chart-primary"></div>
+            <div class="chart chart-secondary"></div>
+        `;
+        this.container.style.display = 'grid';
+    }
+
+    update(modelType, logs) {
+        const history = this.histories[modelType];
+        if (!history || !logs || typeof logs !== 'object') return;
+
+        if (logs.epoch !== undefined && logs.loss !== undefined) {
+            history.epochs.push({
+                epoch: logs.epoch,
+                loss: logs.loss,
+                acc: logs.acc,
+                valLoss: logs.val_loss,
+                valAcc: logs.val_acc
+            });
+            this.renderEpochCharts(modelType);
+        } else if (logs.stage === 'tree-building' && logs.oobAccuracy !== undefined && logs.oobAccuracy !== null) {
+            history.trees.push({ trees: logs.current, oobAccuracy: logs.oobAccuracy });
+            this.renderForestChart(modelType);
+        }
+    }
+
+    renderEpochCharts(modelType) {
+        const panel = this.getPanel(modelType);
+        if (!panel) return;
+
+        const epochs = this.histories[modelType].epochs;
+        const series = (key) => epochs
+            .filter(entry => entry[key] !== undefined)
+            .map(entry => ({ x: entry.epoch, y: entry[key] }));
+
+        this.renderLineChart(panel.querySelector('.chart-primary'),
+            [series('loss'), series('valLoss')], ['loss', 'val_loss'], 'Epoch', 'Loss');
+        this.renderLineChart(panel.querySelector('.chart-secondary'),
+            [series('acc'), series('valAcc')], ['accuracy', 'val_accuracy'], 'Epoch', 'Accuracy');
+    }
+
+    renderForestChart(modelType) {
+        const panel = this.getPanel(modelType);
+        if (!panel) return;
+
+        const values = this.histories[modelType].trees.map(entry => ({ x: entry.trees, y: entry.oobAccuracy }));
+        this.renderLineChart(panel.querySelector('.chart-primary'),
+            [values], ['out-of-bag accuracy'], 'Trees built', 'OOB accuracy');
+    }
+
+    renderLineChart(element, values, series, xLabel, yLabel) {
+        // Drop series without data (e.g. no validation split) - tfvis can't draw empty lines
+        const populated = values.map((v, i) => ({ v, name: series[i] })).filter(s => s.v.length > 0);
+        if (!element || populated.length === 0) return;
+
+        tfvis.render.linechart(element, {
+            values: populated.map(s => s.v),
+            series: populated.map(s => s.name)
+        }, {
+            xLabel: xLabel,
+            yLabel: yLabel,
+            height: 180,
+            zoomToFit: true
+        });
+    }
+
+    getPanel(modelType) {
+        return this.container ? this.container.querySelector(`[data-model-type="${modelType}"]`) : null;
+    }
+
+    clear() {
+        this.histories = {};
+        if (this.container) {
+            this.container.innerHTML = '';
+            this.container.style.display = 'none';
+        }
+    }
+}
\ No newline at end of file
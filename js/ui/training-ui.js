@@ -3,9 +3,88 @@ class TrainingUI {
         this.modelManager = modelManager;
         this.datasetManager = datasetManager;
         this.predictor = predictor;
+        this.augmenter = new ImageAugmenter();
+        this.crossValidator = new CrossValidator(modelManager, datasetManager, predictor, this.augmenter);
+        this.crossValidationResults = {};
+        // Per-image test predictions of the latest run; kept in memory only (not persisted)
+        this.evaluationSamples = {};
+        this.trainingCharts = new TrainingCharts(document.getElementById('training-charts'));
+        this.hyperparameterPanel = new HyperparameterPanel(modelManager, document.getElementById('hyperparameter-forms'));
+        this.augmentationPanel = new AugmentationPanel(this.augmenter, datasetManager, document.getElementById('augmentation-panel'));
         this.isTraining = false;
+        // Aborts the running train / train-all / cross-validation run
+        this.abortController = null;
         
         this.initializeEventListeners();
+        this.datasetManager.onChange(() => {
+            this.updateImbalanceWarning();
+            this.updateClassSetWarning();
+        });
+        this.modelManager.onChange(() => this.updateClassSetWarning());
+        this.updateImbalanceWarning();
+        this.updateClassSetWarning();
+    }
+
+    // Warn (without blocking training) when one class dwarfs another
+    updateImbalanceWarning() {
+        const element = document.getElementById('imbalance-warning');
+        if (!element) return;
+
+        const { warnings } = this.datasetManager.validateDataset();
+        if (warnings.length === 0) {
+            element.style.display = 'none';
+            element.innerHTML = '';
+            return;
+        }
+
+        element.innerHTML = `
+            <strong>${HtmlUtils.escapeHtml(warnings.join('. '))}.</strong>
+            Models will tend to predict the larger class. Add images to the smaller classes, or turn on
+            class-weighted loss or balanced bootstrap under Advanced settings, or oversampling under Data augmentation.
+        `;
+        element.style.display = 'block';
+    }
+
+    // Prompt a retrain when classes were added, removed or merged since a model was trained
+    updateClassSetWarning() {
+        const element = document.getElementById('class-set-warning');
+        if (!element) return;
+
+        const staleModels = [];
+        const added = new Set();
+        const removed = new Set();
+
+        ['logisticRegression', 'randomForest', 'cnn'].forEach(modelType => {
+            if (!this.modelManager.isModelTrained(modelType)) return;
+
+            const evaluation = this.modelManager.getEvaluationResults(modelType) || {};
+            const changes = this.datasetManager.compareClassSet(evaluation.classIds, evaluation.classNames);
+            if (changes.added.length === 0 && changes.removed.length === 0) return;
+
+            staleModels.push(this.getModelDisplayName(modelType));
+            changes.added.forEach(name => added.add(name));
+            changes.removed.forEach(name => removed.add(name));
+        });
+
+        if (staleModels.length === 0) {
+            element.style.display = 'none';
+            element.innerHTML = '';
+            return;
+        }
+
+        const changes = [
+            added.size > 0 ? `added ${[...added].map(name => `"${name}"`).join(', ')}` : '',
+            removed.size > 0 ? `removed ${[...removed].map(name => `"${name}"`).join(', ')}` : ''
+        ].filter(Boolean).join('; ');
+
+        element.innerHTML = `
+            <strong>Classes changed since ${HtmlUtils.escapeHtml(staleModels.join(', '))} ${staleModels.length === 1 ? 'was' : 'were'} trained
+            (${HtmlUtils.escapeHtml(changes)}).</strong>
+            Their predictions only cover the classes they were trained on until you retrain.
+            <button type="button" class="btn-small retrain-button">Retrain all</button>
+        `;
+        element.querySelector('.retrain-button').addEventListener('click', () => this.trainAllModels());
+        element.style.display = 'block';
     }
 
     initializeEventListeners() {
@@ -13,6 +92,13 @@ class TrainingUI {
         document.getElementById('train-lr').addEventListener('click', () => this.trainModel('logisticRegression'));
         document.getElementById('train-rf').addEventListener('click', () => this.trainModel('randomForest'));
         document.getElementById('train-cnn').addEventListener('click', () => this.trainModel('cnn'));
+        document.getElementById('cross-validate').addEventListener('click', () => this.crossValidateAllModels());
+        document.getElementById('cancel-training').addEventListener('click', () => this.cancelTraining());
+        document.getElementById('ensemble-method').addEventListener('change', (event) => {
+            this.predictor.ensemble.setMethod(event.target.value);
+            this.evaluateEnsemble();
+        });
+        document.getElementById('evaluate-ensemble').addEventListener('click', () => this.evaluateEnsemble());
     }
 
     async trainAllModels() {
@@ -22,78 +108,146 @@ class TrainingUI {
         }
 
         const models = ['logisticRegression', 'randomForest', 'cnn'];
-        
-        for (const modelType of models) {
-            if (!this.isTraining) break; // Stop if training was cancelled
-            await this.trainModel(modelType);
+        // One controller for the whole run so Cancel also skips the remaining models
+        this.abortController = new AbortController();
+        const signal = this.abortController.signal;
+
+        try {
+            let trainedAny = false;
+            for (const modelType of models) {
+                if (signal.aborted) break;
+                if (await this.trainModel(modelType, signal)) trainedAny = true;
+            }
+
+            // Refit the ensemble once on the new set of models, not after each of them
+            if (trainedAny) {
+                await this.evaluateEnsemble();
+            }
+        } finally {
+            this.abortController = null;
         }
     }
 
-    async trainModel(modelType) {
+    // Returns true when the model was trained and became the active one
+    async trainModel(modelType, signal = null) {
         if (this.isTraining) {
             this.showAlert('Training already in progress', 'error');
-            return;
+            return false;
         }
 
         // Validate dataset
         const validation = this.datasetManager.validateDataset();
         if (!validation.isValid) {
             this.showAlert(`Cannot train model: ${validation.errors.join(', ')}`, 'error');
-            return;
+            return false;
+        }
+
+        let config;
+        try {
+            config = this.hyperparameterPanel.getConfig(modelType);
+        } catch (error) {
+            this.showAlert(error.message, 'error');
+            return false;
+        }
+
+        const ownsController = !signal;
+        if (ownsController) {
+            this.abortController = new AbortController();
+            signal = this.abortController.signal;
         }
 
         this.isTraining = true;
         this.modelManager.setTrainingStatus(true);
+        let model = null;
 
         try {
             // Prepare training data
             const trainingData = this.datasetManager.prepareTrainingData();
+            // Label i of the prepared data is the class with classIds[i], whatever it is called later
+            const classNames = this.datasetManager.classes.map(c => c.name);
+            const classIds = this.datasetManager.getClassIds();
             
-            // Create model instance
-            let model;
-            switch (modelType) {
-                case 'logisticRegression':
-                    model = new LogisticRegressionTrainer();
-                    break;
-                case 'randomForest':
-                    model = new RandomForestTrainer();
-                    break;
-                case 'cnn':
-                    model = new CNNTrainer();
-                    break;
-                default:
-                    throw new Error(`Unknown model type: ${modelType}`);
-            }
-
-            this.modelManager.setModel(modelType, model);
+            // Create model instance; the previous model stays active until this one finishes
+            model = this.modelManager.createTrainer(modelType, config);
 
             // Update UI
             this.updateTrainingProgress(0, `Starting ${this.getModelDisplayName(modelType)} training...`);
             this.disableTrainingButtons(true);
 
-            // Train model
-            await model.train(trainingData, (progress, logs) => {
+            this.trainingCharts.start(modelType, this.getModelDisplayName(modelType));
+
+            // Augment the training split only; validation and test images stay as captured
+            trainingData.train = await this.augmenter.augmentDataset(trainingData.train, (progress, logs) => {
                 this.updateTrainingProgress(progress, logs, modelType);
-            });
+            }, signal);
+
+            // Train model on the training split only
+            let stopReason = null;
+            await model.train(trainingData.train, (progress, logs) => {
+                if (logs && logs.stopReason) stopReason = logs.stopReason;
+                this.updateTrainingProgress(progress, logs, modelType);
+                this.trainingCharts.update(modelType, logs);
+            }, { validationData: trainingData.validation, signal });
+
+            this.modelManager.setModel(modelType, model);
 
-            // Evaluate model
-            const evaluation = await model.evaluate(trainingData.images, trainingData.labels);
+            // Evaluate on held-out test images the model has never seen; one prediction pass
+            // feeds the accuracy, loss, confusion matrix and calibration error
+            const details = await this.predictor.evaluateModel(model, trainingData.test, classNames);
+            const evaluation = model.getEvaluationInfo();
+            evaluation.accuracy = details.metrics.accuracy;
+            evaluation.loss = details.logLoss;
+            evaluation.testSize = trainingData.test.images.length;
+            evaluation.trainSize = trainingData.train.images.length;
+            evaluation.validationSize = trainingData.validation.images.length;
+            if (stopReason) evaluation.stopReason = stopReason;
+            evaluation.classNames = classNames;
+            evaluation.classIds = classIds;
+            evaluation.confusionMatrix = details.confusionMatrix;
+            evaluation.calibrationError = details.calibrationError;
+            evaluation.calibration = model.calibrator ? model.calibrator.method : 'none';
+            evaluation.classMetrics = {
+                precision: details.metrics.precision,
+                recall: details.metrics.recall,
+                f1Score: details.metrics.f1Score,
+                support: details.metrics.support
+            };
+            this.evaluationSamples[modelType] = details.samples;
             this.modelManager.setEvaluationResults(modelType, evaluation);
 
             // Save model
-            this.modelManager.saveModel(modelType);
+            await this.modelManager.saveModel(modelType);
 
             // Update UI with results
             this.displayEvaluationResults(modelType, evaluation);
             this.updateTrainingProgress(100, `${this.getModelDisplayName(modelType)} training completed!`);
             
-            this.showAlert(`${this.getModelDisplayName(modelType)} trained successfully! Accuracy: ${(evaluation.accuracy * 100).toFixed(1)}%`, 'success');
+            this.showAlert(`${this.getModelDisplayName(modelType)} trained successfully! Test accuracy: ${(evaluation.accuracy * 100).toFixed(1)}%`, 'success');
 
+            // Refit the ensemble on the new set of models; trainAllModels does this after the last one
+            if (ownsController) {
+                await this.runEnsembleEvaluation(trainingData);
+            }
+
+            return true;
         } catch (error) {
-            console.error(`Error training ${modelType}:`, error);
-            this.updateTrainingProgress(0, `Error training ${this.getModelDisplayName(modelType)}: ${error.message}`);
-            this.showAlert(`Failed to train ${this.getModelDisplayName(modelType)}: ${error.message}`, 'error');
+            if (model && this.modelManager.getModel(modelType) !== model) {
+                model.dispose();
+            }
+
+            if (error.name === 'AbortError') {
+                this.updateTrainingProgress(0, `${this.getModelDisplayName(modelType)} training cancelled`);
+                this.showAlert('Training cancelled', 'info');
+            } else {
+                console.error(`Error training ${modelType}:`, error);
+                this.updateTrainingProgress(0, `Error training ${this.getModelDisplayName(modelType)}: ${error.message}`);
+                this.showAlert(`Failed to train ${this.getModelDisplayName(modelType)}: ${error.message}`, 'error');
+            }
+            return false;
         } finally {
+            if (ownsController) {
+                this.abortController = null;
+            }
             this.isTraining = false;
             this.modelManager.setTrainingStatus(false);
             this.disableTrainingButtons(false);
@@ -101,6 +255,130 @@ class TrainingUI {
         }
     }
 
+    async crossValidateAllModels() {
+        if (this.isTraining) {
+            this.showAlert('Training already in progress', 'error');
+            return;
+        }
+
+        const folds = parseInt(document.getElementById('cv-folds').value, 10);
+        const validation = this.datasetManager.validateDataset();
+        if (!validation.isValid) {
+            this.showAlert(`Cannot cross-validate: ${validation.errors.join(', ')}`, 'error');
+            return;
+        }
+
+        const configs = {};
+        try {
+            for (const modelType of ['logisticRegression', 'randomForest', 'cnn']) {
+                configs[modelType] = this.hyperparameterPanel.getConfig(modelType);
+            }
+        } catch (error) {
+            this.showAlert(error.message, 'error');
+            return;
+        }
+
+        this.isTraining = true;
+        this.modelManager.setTrainingStatus(true);
+        this.disableTrainingButtons(true);
+        this.abortController = new AbortController();
+        const signal = this.abortController.signal;
+
+        try {
+            for (const modelType of ['logisticRegression', 'randomForest', 'cnn']) {
+                this.updateTrainingProgress(0, `Cross-validating ${this.getModelDisplayName(modelType)} (${folds} folds)...`);
+
+                const results = await this.crossValidator.run(modelType, folds, (progress, logs) => {
+                    this.updateTrainingProgress(progress, logs, modelType);
+                }, configs[modelType], signal);
+
+                this.crossValidationResults[modelType] = results;
+                this.displayCrossValidationResults(modelType, results);
+            }
+
+            this.updateTrainingProgress(100, 'Cross-validation completed');
+            this.showAlert(`Cross-validation completed (${folds} folds)`, 'success');
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.updateTrainingProgress(0, 'Cross-validation cancelled');
+                this.showAlert('Cross-validation cancelled', 'info');
+            } else {
+                console.error('Error during cross-validation:', error);
+                this.updateTrainingProgress(0, `Cross-validation failed: ${error.message}`);
+                this.showAlert(`Cross-validation failed: ${error.message}`, 'error');
+            }
+        } finally {
+            this.abortController = null;
+            this.isTraining = false;
+            this.modelManager.setTrainingStatus(false);
+            this.disableTrainingButtons(false);
+            this.modelManager.cleanup();
+        }
+    }
+
+    async evaluateEnsemble() {
+        if (this.isTraining) {
+            this.showAlert('Training already in progress', 'error');
+            return;
+        }
+
+        const button = document.getElementById('evaluate-ensemble');
+        button.disabled = true;
+        try {
+            await this.runEnsembleEvaluation(this.datasetManager.prepareTrainingData());
+        } catch (error) {
+            // prepareTrainingData() refuses an invalid or empty dataset
+            this.clearEvaluationResults('ensemble');
+            this.showAlert(error.message, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    // Fit the ensemble on the validation split and score it on the test split, like a model
+    async runEnsembleEvaluation(trainingData) {
+        if (this.modelManager.getTrainedModelsCount() < 2) {
+            this.predictor.ensemble.reset();
+            this.clearEvaluationResults('ensemble');
+            return;
+        }
+
+        try {
+            // Averaging works without a fit, so a tiny dataset with no validation images can still use it
+            const fit = trainingData.validation.images.length > 0 ?
+                await this.predictor.fitEnsemble(trainingData.validation) :
+                null;
+            // Otherwise weights and stacker fitted for an earlier set of models would still be used
+            if (!fit) this.predictor.ensemble.reset();
+            const classNames = this.datasetManager.classes.map(c => c.name);
+            const details = await this.predictor.evaluateEnsemble(trainingData.test, classNames);
+
+            this.evaluationSamples.ensemble = details.samples;
+            this.displayEvaluationResults('ensemble', {
+                accuracy: details.metrics.accuracy,
+                ensembleMethod: this.predictor.ensemble.method,
+                ensembleWeights: fit && fit.modelTypes.map((type, i) => ({ name: this.getModelDisplayName(type), weight: fit.weights[i] })),
+                testSize: trainingData.test.images.length,
+                trainSize: trainingData.train.images.length,
+                validationSize: trainingData.validation.images.length,
+                classNames: classNames,
+                classIds: this.datasetManager.getClassIds(),
+                confusionMatrix: details.confusionMatrix,
+                calibrationError: details.calibrationError,
+                calibration: 'none',
+                classMetrics: {
+                    precision: details.metrics.precision,
+                    recall: details.metrics.recall,
+                    f1Score: details.metrics.f1Score,
+                    support: details.metrics.support
+                }
+            });
+        } catch (error) {
+            console.error('Error evaluating ensemble:', error);
+            this.displayEvaluationResults('ensemble', { error: error.message });
+        }
+    }
+
     updateTrainingProgress(progress, logs, modelType = '') {
         const progressFill = document.getElementById('progress-fill');
         const progressText = document.getElementById('progress-text');
@@ -122,11 +400,22 @@ class TrainingUI {
         } else if (logs && logs.stage) {
             const modelName = this.getModelDisplayName(modelType);
             statusMessage = `${modelName}: ${logs.stage.replace('-', ' ')} - ${logs.current}/${logs.total}`;
+            if (logs.oobAccuracy !== undefined && logs.oobAccuracy !== null) {
+                statusMessage += ` - OOB accuracy: ${(logs.oobAccuracy * 100).toFixed(1)}%`;
+            }
         } else if (logs && logs.epoch) {
             const modelName = this.getModelDisplayName(modelType);
             const loss = logs.loss ? logs.loss.toFixed(4) : 'N/A';
             const acc = logs.acc ? (logs.acc * 100).toFixed(1) + '%' : 'N/A';
             statusMessage = `${modelName}: Epoch ${logs.epoch} - Loss: ${loss} - Accuracy: ${acc}`;
+            if (logs.val_acc !== undefined) {
+                statusMessage += ` - Val accuracy: ${(logs.val_acc * 100).toFixed(1)}%`;
+            }
+            if (logs.lr !== undefined) {
+                statusMessage += ` - LR: ${logs.lr.toPrecision(2)}`;
+            }
+        } else if (logs && logs.stopReason) {
+            statusMessage = `${this.getModelDisplayName(modelType)}: ${logs.stopReason}`;
         } else if (logs && logs.tree) {
             const modelName = this.getModelDisplayName(modelType);
             statusMessage = `${modelName}: Building tree ${logs.tree}/${logs.total || 50}`;
@@ -134,6 +423,10 @@ class TrainingUI {
             statusMessage = modelType ? `${this.getModelDisplayName(modelType)}: Training in progress...` : 'Training in progress...';
         }
 
+        if (logs && logs.fold) {
+            statusMessage = `[Fold ${logs.fold}/${logs.folds}] ${statusMessage}`;
+        }
+
         if (statusElement) {
             statusElement.textContent = statusMessage;
             statusElement.className = this.isTraining ? 'training-status-training' : 'training-status-ready';
@@ -152,6 +445,12 @@ class TrainingUI {
                 button.style.cursor = 'pointer';
             }
         });
+        this.hyperparameterPanel.setDisabled(disabled);
+        this.augmentationPanel.setDisabled(disabled);
+
+        const cancelButton = document.getElementById('cancel-training');
+        cancelButton.style.display = disabled ? 'inline-flex' : 'none';
+        cancelButton.disabled = false;
     }
 
     displayEvaluationResults(modelType, evaluation) {
@@ -166,24 +465,52 @@ class TrainingUI {
         let metricsHTML = '';
         
         if (evaluation.error) {
-            metricsHTML = `<div class="metric error">Error: ${evaluation.error}</div>`;
+            metricsHTML = `<div class="metric error">Error: ${HtmlUtils.escapeHtml(evaluation.error)}</div>`;
         } else {
             metricsHTML = `
                 <div class="metric">
-                    <span>Accuracy:</span>
+                    <span>Test Accuracy:</span>
                     <span>${(evaluation.accuracy * 100).toFixed(2)}%</span>
                 </div>
             `;
             
-            if (evaluation.loss !== undefined) {
+            if (evaluation.loss !== undefined && evaluation.loss !== null) {
                 metricsHTML += `
                     <div class="metric">
-                        <span>Loss:</span>
+                        <span>Test Loss:</span>
                         <span>${evaluation.loss.toFixed(4)}</span>
                     </div>
                 `;
             }
             
+            if (evaluation.calibrationError !== undefined && evaluation.calibrationError !== null) {
+                const calibrationLabels = { none: 'uncalibrated', platt: 'Platt', isotonic: 'isotonic' };
+                metricsHTML += `
+                    <div class="metric" title="Expected calibration error on the test split: gap between confidence and accuracy">
+                        <span>Calibration error (${calibrationLabels[evaluation.calibration] || 'uncalibrated'}):</span>
+                        <span>${(evaluation.calibrationError * 100).toFixed(1)}%</span>
+                    </div>
+                `;
+            }
+
+            if (evaluation.oobAccuracy !== undefined && evaluation.oobAccuracy !== null) {
+                metricsHTML += `
+                    <div class="metric">
+                        <span>OOB Accuracy:</span>
+                        <span>${(evaluation.oobAccuracy * 100).toFixed(2)}%</span>
+                    </div>
+                `;
+            }
+
+            if (evaluation.ensembleMethod === 'weighted' && evaluation.ensembleWeights) {
+                metricsHTML += evaluation.ensembleWeights.map(member => `
+                    <div class="metric">
+                        <span>Weight (${member.name}):</span>
+                        <span>${member.weight.toFixed(2)}</span>
+                    </div>
+                `).join('');
+            }
+
             if (evaluation.trees) {
                 metricsHTML += `
                     <div class="metric">
@@ -192,17 +519,169 @@ class TrainingUI {
                     </div>
                 `;
             }
+
+            if (evaluation.featureLength) {
+                metricsHTML += `
+                    <div class="metric">
+                        <span>Features:</span>
+                        <span>${evaluation.featureLength}</span>
+                    </div>
+                `;
+            }
+
+            if (evaluation.stopReason) {
+                metricsHTML += `
+                    <div class="metric">
+                        <span>Training:</span>
+                        <span>${HtmlUtils.escapeHtml(evaluation.stopReason)}</span>
+                    </div>
+                `;
+            }
+
+            if (evaluation.testSize !== undefined) {
+                metricsHTML += `
+                    <div class="metric">
+                        <span>Split (train/val/test):</span>
+                        <span>${evaluation.trainSize}/${evaluation.validationSize}/${evaluation.testSize}</span>
+                    </div>
+                `;
+            }
         }
 
         metricsElement.innerHTML = metricsHTML;
         metricsElement.className = 'metrics evaluated';
+
+        const matrixView = new ConfusionMatrixView(document.getElementById(`${modelId}-details`));
+        if (evaluation.confusionMatrix && !evaluation.error) {
+            matrixView.render({
+                confusionMatrix: evaluation.confusionMatrix,
+                classNames: evaluation.classNames,
+                classMetrics: evaluation.classMetrics,
+                samples: this.evaluationSamples[modelType]
+            });
+        } else {
+            matrixView.clear();
+        }
+
+        const importanceView = new FeatureImportanceView(document.getElementById(`${modelId}-importance`));
+        if (evaluation.featureImportance && !evaluation.error) {
+            importanceView.render(evaluation.featureImportance);
+        } else {
+            importanceView.clear();
+        }
+
+        const summaryView = new ModelSummaryView(document.getElementById(`${modelId}-summary`));
+        if (evaluation.modelSummary && !evaluation.error) {
+            summaryView.render(evaluation.modelSummary);
+        } else {
+            summaryView.clear();
+        }
+
+        // Weight templates come from the live model rather than the saved evaluation
+        const model = this.modelManager.models[modelType];
+        const templates = model && model.getWeightTemplates && !evaluation.error ? model.getWeightTemplates() : null;
+        const templateView = new WeightTemplateView(document.getElementById(`${modelId}-weights`));
+        if (templates) {
+            templateView.render({
+                ...templates,
+                classNames: evaluation.classNames || this.datasetManager.classes.map(c => c.name)
+            });
+        } else {
+            templateView.clear();
+        }
+    }
+
+    displayCrossValidationResults(modelType, results) {
+        const container = document.getElementById(`${this.getModelId(modelType)}-cv`);
+        if (!container) return;
+
+        const formatScore = (score) => `${(score.mean * 100).toFixed(1)}% ± ${(score.std * 100).toFixed(1)}%`;
+        const totalImages = results.folds.reduce((total, fold) => total + fold.testSize, 0);
+
+        container.innerHTML = `
+            <div class="cv-title">Cross-validation (${results.k} folds)</div>
+            <div class="metric">
+                <span>Accuracy:</span>
+                <span>${formatScore(results.accuracy)}</span>
+            </div>
+            <div class="metric">
+                <span>Macro F1:</span>
+                <span>${formatScore(results.macroF1)}</span>
+            </div>
+            <table class="cv-table">
+                <thead>
+                    <tr><th>Class</th><th>Recall</th></tr>
+                </thead>
+                <tbody>
+                    ${results.recall.map(classRecall => `
+                        <tr>
+                            <td>${HtmlUtils.escapeHtml(classRecall.className)}</td>
+                            <td>${formatScore(classRecall)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="cv-pooled">Pooled accuracy: ${(results.pooledMetrics.accuracy * 100).toFixed(1)}% over ${totalImages} images</div>
+            <div class="cv-matrix"></div>
+        `;
+        container.style.display = 'block';
+
+        new ConfusionMatrixView(container.querySelector('.cv-matrix')).render({
+            confusionMatrix: results.confusionMatrix,
+            classNames: results.classNames
+        });
+    }
+
+    clearCrossValidationResults() {
+        this.crossValidationResults = {};
+        document.querySelectorAll('.cv-results').forEach(container => {
+            container.innerHTML = '';
+            container.style.display = 'none';
+        });
+    }
+
+    // Re-render every evaluation card from the model manager (e.g. after switching projects)
+    refreshEvaluationResults() {
+        this.clearCrossValidationResults();
+        this.trainingCharts.clear();
+
+        for (const modelType of ['logisticRegression', 'randomForest', 'cnn']) {
+            const evaluation = this.modelManager.getEvaluationResults(modelType);
+            if (evaluation && this.modelManager.isModelTrained(modelType)) {
+                this.displayEvaluationResults(modelType, evaluation);
+                this.hyperparameterPanel.setConfig(modelType, this.modelManager.getModel(modelType).config);
+            } else {
+                this.clearEvaluationResults(modelType);
+            }
+        }
+
+        // The ensemble isn't saved with the project; it is refitted on demand
+        this.predictor.ensemble.reset();
+        this.clearEvaluationResults('ensemble');
+    }
+
+    clearEvaluationResults(modelType) {
+        const metricsElement = document.getElementById(`${this.getModelId(modelType)}-metrics`);
+        if (!metricsElement) return;
+
+        const placeholder = modelType === 'ensemble' ?
+            (this.modelManager.getTrainedModelsCount() < 2 ? 'Train at least two models' : 'Not evaluated yet') :
+            'Not trained yet';
+        metricsElement.innerHTML = `<div class="metric-placeholder">${placeholder}</div>`;
+        metricsElement.className = 'metrics';
+        new ConfusionMatrixView(document.getElementById(`${this.getModelId(modelType)}-details`)).clear();
+        new FeatureImportanceView(document.getElementById(`${this.getModelId(modelType)}-importance`)).clear();
+        new WeightTemplateView(document.getElementById(`${this.getModelId(modelType)}-weights`)).clear();
+        new ModelSummaryView(document.getElementById(`${this.getModelId(modelType)}-summary`)).clear();
+        delete this.evaluationSamples[modelType];
     }
 
     getModelDisplayName(modelType) {
         const names = {
             logisticRegression: 'Logistic Regression',
             randomForest: 'Random Forest',
-            cnn: 'CNN'
+            cnn: 'CNN',
+            ensemble: 'Ensemble'
         };
         return names[modelType] || modelType;
     }
@@ -211,7 +690,8 @@ class TrainingUI {
         const ids = {
             logisticRegression: 'lr',
             randomForest: 'rf',
-            cnn: 'cnn'
+            cnn: 'cnn',
+            ensemble: 'ensemble'
         };
         return ids[modelType] || modelType;
     }
@@ -253,13 +733,12 @@ class TrainingUI {
         }, 5000);
     }
 
-    // Cancel training
+    // Cancel training; the running trainer stops at its next batch, image or tree
     cancelTraining() {
-        if (this.isTraining) {
-            this.isTraining = false;
-            this.modelManager.setTrainingStatus(false);
-            this.updateTrainingProgress(0, 'Training cancelled');
-            this.showAlert('Training cancelled', 'info');
+        if (this.abortController && !this.abortController.signal.aborted) {
+            this.abortController.abort();
+            document.getElementById('cancel-training').disabled = true;
+            this.updateTrainingProgress(0, 'Cancelling...');
         }
     }
 
@@ -1,16 +1,34 @@
 class WebcamUI {
-    constructor(predictor, datasetManager) {
+    constructor(predictor, datasetManager, onImagesAdded = null) {
         this.predictor = predictor;
         this.datasetManager = datasetManager;
+        this.onImagesAdded = onImagesAdded;
         this.webcam = document.getElementById('webcam');
         this.canvas = document.getElementById('webcam-canvas');
         this.ctx = this.canvas.getContext('2d');
         this.stream = null;
         this.isWebcamActive = false;
-        this.predictionInterval = null;
+        this.animationFrame = null;
         this.isPredicting = false;
+        // In-flight frame prediction, and the pause that one-off predictions put on the loop
+        this.framePrediction = null;
+        this.isLoopPaused = false;
+        this.resumeTimer = null;
+
+        // Live inference: smoothing over recent frames and a running FPS estimate
+        this.smoother = new PredictionSmoother('ema', 5);
+        this.fps = 0;
+        this.lastPredictionTime = null;
+
+        // Record-into-class state
+        this.isRecording = false;
+        this.recordTimer = null;
+        this.countdownTimer = null;
+        this.recordedCount = 0;
+        this.pendingFrame = null;
         
         this.initializeEventListeners();
+        this.renderClassOptions();
     }
 
     initializeEventListeners() {
@@ -25,6 +43,33 @@ class WebcamUI {
             captureImageBtn.addEventListener('click', () => this.captureImage());
         }
 
+        // Hold to record: countdown first, then capture frames until released
+        const recordBtn = document.getElementById('record-button');
+        if (recordBtn) {
+            recordBtn.addEventListener('pointerdown', (e) => {
+                e.preventDefault();
+                this.startRecording();
+            });
+            ['pointerup', 'pointerleave', 'pointercancel'].forEach(eventName => {
+                recordBtn.addEventListener(eventName, () => this.stopRecording());
+            });
+        }
+
+        const smoothingMode = document.getElementById('smoothing-mode');
+        const smoothingWindow = document.getElementById('smoothing-window');
+        if (smoothingMode && smoothingWindow) {
+            [smoothingMode, smoothingWindow].forEach(input => {
+                input.addEventListener('change', () => this.updateSmoothing());
+            });
+        }
+
+        // Keep the class selector in sync with the dataset
+        this.datasetManager.onChange(change => {
+            if (['class-added', 'class-deleted', 'class-renamed', 'classes-reordered', 'classes-merged', 'cleared'].includes(change.type)) {
+                this.renderClassOptions();
+            }
+        });
+
         // Handle page visibility change
         document.addEventListener('visibilitychange', () => {
             if (document.hidden && this.isWebcamActive) {
@@ -82,11 +127,10 @@ class WebcamUI {
     }
 
     stopWebcam() {
+        this.stopRecording();
+
         // Stop prediction loop
-        if (this.predictionInterval) {
-            clearInterval(this.predictionInterval);
-            this.predictionInterval = null;
-        }
+        this.stopPredictionLoop();
 
         // Stop webcam stream
         if (this.stream) {
@@ -122,46 +166,87 @@ class WebcamUI {
             captureImageBtn.disabled = !isActive;
         }
 
+        this.updateRecordButton();
+
         if (webcamContainer) {
             webcamContainer.style.display = isActive ? 'block' : 'none';
         }
     }
 
+    // Predict on every animation frame; frames that arrive while a prediction is still
+    // running are skipped, so the loop settles at the fastest rate the models can sustain
     startPredictionLoop() {
         if (!this.isWebcamActive) return;
 
-        // Clear any existing interval
-        if (this.predictionInterval) {
-            clearInterval(this.predictionInterval);
+        this.stopPredictionLoop();
+        this.smoother.reset();
+        this.fps = 0;
+        this.lastPredictionTime = null;
+
+        const loop = () => {
+            if (!this.isWebcamActive) return;
+            this.animationFrame = requestAnimationFrame(loop);
+            if (!this.isPredicting && !this.isLoopPaused) {
+                this.framePrediction = this.captureAndPredict().finally(() => this.framePrediction = null);
+            }
+        };
+        this.animationFrame = requestAnimationFrame(loop);
+    }
+
+    stopPredictionLoop() {
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
         }
+        clearTimeout(this.resumeTimer);
+        this.resumeTimer = null;
+        this.isLoopPaused = false;
+        this.updateFpsDisplay(null);
+    }
 
-        // Start new prediction loop (every 2 seconds for performance)
-        this.predictionInterval = setInterval(async () => {
-            if (this.isWebcamActive && !this.isPredicting) {
-                await this.captureAndPredict();
+    static get RESULT_HOLD_MS() {
+        return 3000;
+    }
+
+    // Predict a captured frame or uploaded test image with the live loop paused: the frame
+    // prediction in flight is awaited first, so the predictor is free, and the loop only resumes
+    // once the result has been on screen for RESULT_HOLD_MS
+    async predictWithLoopPaused(input) {
+        clearTimeout(this.resumeTimer);
+        this.resumeTimer = null;
+        this.isLoopPaused = true;
+
+        try {
+            if (this.framePrediction) {
+                await this.framePrediction;
             }
-        }, 2000);
+            return await this.predictor.predictImage(input);
+        } finally {
+            this.resumeTimer = setTimeout(() => {
+                this.resumeTimer = null;
+                this.isLoopPaused = false;
+                // Don't count the pause as one very slow frame
+                this.lastPredictionTime = null;
+            }, WebcamUI.RESULT_HOLD_MS);
+        }
     }
 
     async captureAndPredict() {
         if (!this.isWebcamActive || this.isPredicting) return;
+        // Wait until the video has a frame to read
+        if (this.webcam.readyState < HTMLMediaElement.HAVE_CURRENT_DATA) return;
+        if (!this.hasTrainedModel()) {
+            this.updateFpsDisplay(null);
+            return;
+        }
 
         this.isPredicting = true;
 
         try {
-            // Set canvas size to match video
-            this.canvas.width = this.webcam.videoWidth;
-            this.canvas.height = this.webcam.videoHeight;
-            
-            // Draw current video frame to canvas
-            this.ctx.drawImage(this.webcam, 0, 0, this.canvas.width, this.canvas.height);
-            
-            // Convert to data URL
-            const imageDataUrl = this.canvas.toDataURL('image/jpeg', 0.8);
-            
-            // Make prediction
-            await this.predictImage(imageDataUrl);
-            
+            // The video element goes straight to the models - no canvas or JPEG round trip
+            const predictions = await this.predictor.predictImage(this.webcam);
+            this.displayPredictions(this.smoothPredictions(predictions));
+            this.updateFps();
         } catch (error) {
             console.error('Error in webcam prediction:', error);
         } finally {
@@ -169,6 +254,54 @@ class WebcamUI {
         }
     }
 
+    hasTrainedModel() {
+        return Object.values(this.predictor.modelManager.models).some(model => model && model.isTrained);
+    }
+
+    smoothPredictions(predictions) {
+        const smoothed = {};
+
+        for (const [modelType, result] of Object.entries(predictions)) {
+            smoothed[modelType] = result.probabilities ? {
+                ...result,
+                predictions: this.predictor.formatPredictions(
+                    this.smoother.update(modelType, result.probabilities),
+                    this.predictor.getModelClasses(modelType)
+                )
+            } : result;
+        }
+
+        return smoothed;
+    }
+
+    updateSmoothing() {
+        const mode = document.getElementById('smoothing-mode').value;
+        const windowSize = parseInt(document.getElementById('smoothing-window').value, 10);
+
+        try {
+            this.smoother.setOptions(mode, windowSize);
+        } catch (error) {
+            this.showAlert(error.message, 'error');
+        }
+    }
+
+    updateFps() {
+        const now = performance.now();
+        if (this.lastPredictionTime !== null) {
+            const instantFps = 1000 / Math.max(1, now - this.lastPredictionTime);
+            this.fps = this.fps ? 0.9 * this.fps + 0.1 * instantFps : instantFps;
+            this.updateFpsDisplay(this.fps);
+        }
+        this.lastPredictionTime = now;
+    }
+
+    updateFpsDisplay(fps) {
+        const fpsElement = document.getElementById('webcam-fps');
+        if (fpsElement) {
+            fpsElement.textContent = fps === null ? '– FPS' : `${fps.toFixed(1)} FPS`;
+        }
+    }
+
     captureImage() {
         if (!this.isWebcamActive) {
             this.showAlert('Webcam is not active', 'error');
@@ -194,6 +327,146 @@ class WebcamUI {
         this.showAlert('Image captured successfully', 'success');
     }
 
+    renderClassOptions() {
+        const classSelect = document.getElementById('record-class');
+        if (!classSelect) return;
+
+        const selected = classSelect.value;
+        const classes = this.datasetManager.classes;
+
+        classSelect.innerHTML = classes.length === 0 ?
+            '<option value="">No classes yet</option>' :
+            classes.map(classObj => `
+                <option value="${this.escapeHtml(classObj.name)}" ${classObj.name === selected ? 'selected' : ''}>
+                    ${this.escapeHtml(classObj.name)}
+                </option>
+            `).join('');
+
+        this.updateRecordButton();
+    }
+
+    updateRecordButton() {
+        const recordBtn = document.getElementById('record-button');
+        const classSelect = document.getElementById('record-class');
+        if (!recordBtn || !classSelect) return;
+
+        recordBtn.disabled = !this.isWebcamActive || !classSelect.value;
+    }
+
+    getRecordSettings() {
+        const fps = parseFloat(document.getElementById('record-fps').value);
+        const countdown = parseInt(document.getElementById('record-countdown').value, 10);
+
+        return {
+            className: document.getElementById('record-class').value,
+            fps: Number.isFinite(fps) ? Math.min(30, Math.max(1, fps)) : 5,
+            countdown: Number.isFinite(countdown) ? Math.min(10, Math.max(0, countdown)) : 3
+        };
+    }
+
+    startRecording() {
+        if (!this.isWebcamActive || this.isRecording || this.countdownTimer) return;
+
+        const settings = this.getRecordSettings();
+        if (!settings.className) {
+            this.showAlert('Create a class to record into first', 'error');
+            return;
+        }
+
+        let remaining = settings.countdown;
+        const tick = () => {
+            if (remaining > 0) {
+                this.showCountdown(remaining);
+                remaining--;
+                this.countdownTimer = setTimeout(tick, 1000);
+            } else {
+                this.countdownTimer = null;
+                this.showCountdown(null);
+                this.beginCapture(settings);
+            }
+        };
+        tick();
+    }
+
+    beginCapture(settings) {
+        this.isRecording = true;
+        this.recordedCount = 0;
+        this.recordingClassName = settings.className;
+        document.getElementById('webcam-container').classList.add('recording');
+        this.updateRecordStatus(`Recording into "${settings.className}"...`);
+
+        this.recordTimer = setInterval(() => {
+            // Drop frames while the previous one is still being encoded
+            if (this.pendingFrame) return;
+
+            this.pendingFrame = this.recordFrame(settings.className)
+                .catch(error => {
+                    console.error('Error recording frame:', error);
+                    this.stopRecording();
+                    this.showAlert(`Recording stopped: ${error.message}`, 'error');
+                })
+                .finally(() => this.pendingFrame = null);
+        }, 1000 / settings.fps);
+    }
+
+    async stopRecording() {
+        if (this.countdownTimer) {
+            clearTimeout(this.countdownTimer);
+            this.countdownTimer = null;
+            this.showCountdown(null);
+            this.updateRecordStatus('');
+        }
+
+        if (!this.isRecording) return;
+
+        clearInterval(this.recordTimer);
+        this.recordTimer = null;
+        this.isRecording = false;
+        document.getElementById('webcam-container').classList.remove('recording');
+
+        if (this.pendingFrame) {
+            await this.pendingFrame;
+        }
+
+        const className = this.recordingClassName;
+        this.updateRecordStatus(`Added ${this.recordedCount} image${this.recordedCount === 1 ? '' : 's'} to "${className}"`);
+        if (this.recordedCount > 0 && this.onImagesAdded) {
+            this.onImagesAdded(className);
+        }
+    }
+
+    async recordFrame(className) {
+        this.canvas.width = this.webcam.videoWidth;
+        this.canvas.height = this.webcam.videoHeight;
+        this.ctx.drawImage(this.webcam, 0, 0, this.canvas.width, this.canvas.height);
+
+        const blob = await new Promise(resolve => this.canvas.toBlob(resolve, 'image/jpeg', 0.9));
+        if (!blob) {
+            throw new Error('Could not encode webcam frame');
+        }
+
+        const file = new File([blob], `webcam-${Date.now()}.jpg`, { type: 'image/jpeg' });
+        await this.datasetManager.addImageToClass(className, file);
+
+        this.recordedCount++;
+        this.updateRecordStatus(`Recording into "${className}"... ${this.recordedCount} frame${this.recordedCount === 1 ? '' : 's'}`);
+    }
+
+    showCountdown(seconds) {
+        const countdownElement = document.getElementById('webcam-countdown');
+        if (!countdownElement) return;
+
+        countdownElement.textContent = seconds === null ? '' : seconds;
+        countdownElement.style.display = seconds === null ? 'none' : 'flex';
+    }
+
+    updateRecordStatus(message) {
+        const statusElement = document.getElementById('record-status');
+        if (statusElement) {
+            statusElement.textContent = message;
+        }
+    }
+
     showCapturedImage(imageDataUrl) {
         const previewContainer = document.getElementById('uploaded-image-preview');
         if (previewContainer) {
@@ -206,7 +479,7 @@ class WebcamUI {
 
     async predictImage(imageDataUrl) {
         try {
-            const predictions = await this.predictor.predictImage(imageDataUrl);
+            const predictions = await this.predictWithLoopPaused(imageDataUrl);
             this.displayPredictions(predictions);
         } catch (error) {
             console.error('Error predicting image:', error);
@@ -321,9 +594,6 @@ class WebcamUI {
         this.stopWebcam();
         
         // Clear any remaining timeouts/intervals
-        if (this.predictionInterval) {
-            clearInterval(this.predictionInterval);
-            this.predictionInterval = null;
-        }
+        this.stopPredictionLoop();
     }
 }
\ No newline at end of file
@@ -0,0 +1,49 @@
+class WeightTemplateView {
+    constructor(container) {
+        this.container = container;
+    }
+
+    // data: { size, templates, classNames } - one size*size*3 array of -1..1 weights per class.
+    // Positive weights brighten a channel above mid-grey, negative ones darken it.
+    render(data) {
+        if (!this.container) return;
+
+        this.container.innerHTML = `
+            <div class="matrix-title">Class weight templates <span class="matrix-axis">(bright: evidence for the class, dark: against)</span></div>
+            <div class="weight-template-grid">
+                ${data.templates.map((_, classIndex) => `
+                    <figure class="weight-template">
+                        <canvas width="${data.size}" height="${data.size}" data-class="${classIndex}"></canvas>
+                        <figcaption>${HtmlUtils.escapeHtml(data.classNames[classIndex] || `Class ${classIndex}`)}</figcaption>
+                    </figure>
+                `).join('')}
+            </div>
+        `;
+
+        this.container.querySelectorAll('canvas').forEach(canvas => {
+            this.drawTemplate(canvas, data.templates[parseInt(canvas.dataset.class)], data.size);
+        });
+        this.container.style.display = 'block';
+    }
+
+    drawTemplate(canvas, weights, size) {
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.createImageData(size, size);
+
+        for (let pixel = 0; pixel < size * size; pixel++) {
+            for (let channel = 0; channel < 3; channel++) {
+                imageData.data[pixel * 4 + channel] = 128 + 127 * weights[pixel * 3 + channel];
+            }
+            imageData.data[pixel * 4 + 3] = 255;
+        }
+
+        ctx.putImageData(imageData, 0, 0);
+    }
+
+    clear() {
+        if (this.container) {
+            this.container.innerHTML = '';
+            this.container.style.display = 'none';
+        }
+    }
+}
\ No newline at end of file
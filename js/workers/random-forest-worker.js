@@ -0,0 +1,55 @@
+// Builds random forest trees and runs forest predictions off the main thread.
+// Messages in:  { type: 'ping' }
+//               { type: 'build', jobId, features, labels, numTrees, treeOptions }
+//               { type: 'load-forest', trees, numClasses }
+//               { type: 'predict', requestId, features }
+// Messages out: { type: 'ready' }, { type: 'tree', jobId, tree, oobPredictions, importance }, { type: 'done', jobId },
+//               { type: 'predictions', requestId, probabilities }, { type: 'error', jobId?, requestId?, message }
+importScripts('../models/decision-forest.js');
+
+let forest = null;
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    try {
+        switch (message.type) {
+            case 'ping':
+                self.postMessage({ type: 'ready' });
+                break;
+            case 'build':
+                for (let i = 0; i < message.numTrees; i++) {
+                    const { tree, oobPredictions, importance } = DecisionForest.buildBootstrapTree(
+                        message.features, message.labels, message.treeOptions
+                    );
+                    self.postMessage({ type: 'tree', jobId: message.jobId, tree, oobPredictions, importance });
+                }
+                self.postMessage({ type: 'done', jobId: message.jobId });
+                break;
+            case 'load-forest':
+                forest = { trees: message.trees, numClasses: message.numClasses };
+                break;
+            case 'predict':
+                if (!forest) {
+                    throw new Error('No forest loaded in worker');
+                }
+                self.postMessage({
+                    type: 'predictions',
+                    requestId: message.requestId,
+                    probabilities: message.features.map(features =>
+                        DecisionForest.predictProbabilities(features, forest.trees, forest.numClasses)
+                    )
+                });
+                break;
+            default:
+                throw new Error(`Unknown message type: ${message.type}`);
+        }
+    } catch (error) {
+        self.postMessage({
+            type: 'error',
+            jobId: message.jobId,
+            requestId: message.requestId,
+            message: error.message
+        });
+    }
+};
\ No newline at end of file